@@ -1,21 +1,53 @@
 import { useMemo, useState, useEffect, useRef } from "react";
 import * as secp from "@noble/secp256k1";
 
+import { downloadBlob, downloadText, formatBytes, hexToU8, u8ToHex } from "./lib/format.js";
+import { DEFAULT_MIME } from "./lib/payload.js";
+import { DEFAULT_CHUNK_SIZE } from "./lib/chunked.js";
+import { cryptoService, isCancelled } from "./lib/cryptoService.js";
+import { DEFAULT_HTTP_ENDPOINT, STORAGE_BACKENDS, createStorage, uriToCid } from "./lib/storage.js";
+import { checkRecipientDid, createDidResolver, didKeyResolver, registryResolver } from "./lib/did.js";
+import { onboardFromSignature, onboardingChallenge } from "./lib/eth.js";
 import {
-  encryptTextRaw,
-  validateEnvelope,
-  wrapDEK_secp256k1,
-  unwrapDEK_secp256k1,
-  decryptTextFromEnvelope,
-} from "@privacyx/pxp201";
-
-import { downloadText, hexToU8, nowUnix, u8ToHex } from "./lib/format.js";
+  EXPORT_PROFILES,
+  attachKeyFiles,
+  keyFileName,
+  parseKeyFile,
+  publicBundle,
+  publicVector,
+  recipientKeyFile,
+} from "./lib/bundle.js";
+import {
+  PBKDF2_ITERATIONS,
+  deleteKey,
+  generateKey,
+  importKey,
+  isKeyringInitialized,
+  listKeys,
+  revealKey,
+  unlockKeyring,
+  updateKey,
+} from "./lib/keyring.js";
+import { parseCandidateList } from "./lib/trial.js";
+import { canonicalize } from "./lib/canonical.js";
+import { AAD_FIELDS, DEFAULT_AAD, encodeAad, normalizeAad, parseAad, validateAad } from "./lib/aad.js";
+import { MIN_PASSPHRASE_LENGTH, PASSPHRASE_ITERATIONS, isPassphraseEntry } from "./lib/passphrase.js";
+import { DEFAULT_KEM, KEMS, entryKem, generateKeyPair, getKem, parseWk1, publicKeyOf } from "./lib/kem.js";
+import { CIPHERS, DEFAULT_CIPHER, getCipher } from "./lib/cipher.js";
+import { SEVERITIES, inspectJson } from "./lib/inspect.js";
+import { SCHEMAS, SCHEMA_VERSION, checkJsonText, schemaFileName } from "./lib/schema.js";
+import { describeImport, importInput, missingForDecrypt } from "./lib/importer.js";
+
+const CIPHERTEXT_FILENAME = "pxp201-ciphertext.bin";
 
 const tabs = [
   { id: "encrypt", label: "Encrypt" },
   { id: "decrypt", label: "Decrypt" },
+  { id: "access", label: "Access" },
   { id: "wk1", label: "WK1 Wrap/Unwrap" },
   { id: "vectors", label: "Test vectors" },
+  { id: "inspector", label: "Inspector" },
+  { id: "keyring", label: "Keyring" },
 ];
 
 function classNames(...xs) {
@@ -42,6 +74,38 @@ function Field({ label, hint, children }) {
   );
 }
 
+// schema errors of a JSON textarea (lib/schema.js checkJsonText): clicking line:col puts the caret there
+function JsonErrors({ check, textareaRef }) {
+  if (!check.errors.length) return null;
+  const jump = (offset) => {
+    const el = textareaRef.current;
+    if (!el) return;
+    el.focus();
+    el.setSelectionRange(offset, offset);
+  };
+  return (
+    <div className="mt-2 space-y-1 text-xs">
+      <div className="text-zinc-500">
+        {check.schema ? `Does not match the ${check.schema.label} schema (v${SCHEMA_VERSION})` : "Not valid JSON"}
+      </div>
+      {check.errors.map((e, i) => (
+        <div key={i} className="flex gap-2 text-rose-300">
+          <button
+            type="button"
+            onClick={() => jump(e.offset)}
+            className="shrink-0 font-mono text-zinc-400 hover:text-zinc-200"
+          >
+            {e.line}:{e.column}
+          </button>
+          <span className="break-all">
+            {e.path ? <span className="font-mono">{e.path}</span> : null} {e.message}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function Textarea(props) {
   return (
     <textarea
@@ -81,6 +145,617 @@ function Button({ variant = "primary", className, ...props }) {
   return <button className={classNames(base, styles, className)} {...props} />;
 }
 
+function FileDrop({ file, onFile, hint }) {
+  const [dragging, setDragging] = useState(false);
+
+  return (
+    <label
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        const f = e.dataTransfer?.files?.[0];
+        if (f) onFile(f);
+      }}
+      className={classNames(
+        "flex min-h-[120px] w-full cursor-pointer flex-col items-center justify-center gap-1 rounded-xl px-3 py-3 text-sm",
+        "bg-zinc-900/50 ring-1 transition",
+        dragging ? "ring-emerald-400/40" : "ring-zinc-800 hover:bg-zinc-900/70"
+      )}
+    >
+      <input type="file" className="hidden" onChange={(e) => onFile(e.target.files?.[0] || null)} />
+      {file ? (
+        <>
+          <span className="text-zinc-100">{file.name}</span>
+          <span className="text-xs text-zinc-500">
+            {file.type || DEFAULT_MIME} • {formatBytes(file.size)}
+          </span>
+        </>
+      ) : (
+        <span className="text-zinc-500">{hint || "Drop a file here or click to pick one"}</span>
+      )}
+    </label>
+  );
+}
+
+// drop / pick / clipboard source for the import pipeline (lib/importer.js): hands the text to onText
+function ImportBar({ onText, hint = "Drop a bundle, vector, envelope, key file or wk1 key here or click to pick" }) {
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState("");
+
+  const read = async (getText) => {
+    setError("");
+    try {
+      await onText(await getText());
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  };
+  const readClipboard = () => {
+    if (!navigator.clipboard?.readText) throw new Error("Clipboard access is not available here: paste with Ctrl+V");
+    return navigator.clipboard.readText();
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <label
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            const f = e.dataTransfer?.files?.[0];
+            const text = e.dataTransfer?.getData("text/plain");
+            if (f) read(() => f.text());
+            else if (text) read(() => text);
+          }}
+          className={classNames(
+            "flex flex-1 cursor-pointer items-center justify-center rounded-xl px-3 py-2.5 text-sm",
+            "bg-zinc-900/50 ring-1 transition",
+            dragging ? "ring-emerald-400/40" : "ring-zinc-800 hover:bg-zinc-900/70"
+          )}
+        >
+          <input
+            type="file"
+            accept="application/json,text/plain"
+            className="hidden"
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              e.target.value = "";
+              if (f) read(() => f.text());
+            }}
+          />
+          <span className="text-zinc-500">{hint}</span>
+        </label>
+        <Button variant="ghost" onClick={() => read(readClipboard)}>
+          Paste from clipboard
+        </Button>
+      </div>
+
+      {error ? <div className="text-xs text-rose-300 break-all">{error}</div> : null}
+    </div>
+  );
+}
+
+// recipient key files (lib/bundle.js), loaded separately from a public bundle
+function KeyFiles({ keyFiles, onChange }) {
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = async (files) => {
+    setError("");
+    const loaded = [];
+    for (const f of files) {
+      try {
+        loaded.push(await parseKeyFile(await f.text()));
+      } catch (e) {
+        setError(`${f.name}: ${String(e?.message || e)}`);
+      }
+    }
+    if (loaded.length > 0) {
+      onChange([...keyFiles.filter((k) => !loaded.some((x) => x.rid === k.rid)), ...loaded]);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          load([...(e.dataTransfer?.files || [])]);
+        }}
+        className={classNames(
+          "flex w-full cursor-pointer items-center justify-center rounded-xl px-3 py-3 text-sm",
+          "bg-zinc-900/50 ring-1 transition",
+          dragging ? "ring-emerald-400/40" : "ring-zinc-800 hover:bg-zinc-900/70"
+        )}
+      >
+        <input
+          type="file"
+          accept="application/json"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            load([...(e.target.files || [])]);
+            e.target.value = "";
+          }}
+        />
+        <span className="text-zinc-500">Drop pxp201-key-*.json files here or click to pick</span>
+      </label>
+
+      {keyFiles.map((k) => (
+        <div key={k.rid} className="flex items-center justify-between gap-2 text-xs">
+          <span className="text-zinc-300 break-all">
+            🔑 {k.rid}
+            {k.keyId ? <span className="text-zinc-500"> (keyring)</span> : null}
+          </span>
+          <button
+            className="text-zinc-500 hover:text-zinc-200"
+            onClick={() => onChange(keyFiles.filter((x) => x.rid !== k.rid))}
+          >
+            remove
+          </button>
+        </div>
+      ))}
+
+      {error ? <div className="text-xs text-rose-300 break-all">{error}</div> : null}
+    </div>
+  );
+}
+
+// pick a key from the keyring → onPick({ id, label, rid, pubHex }); its privkey is revealed at job time
+function KeyPicker({ keyring, onPick }) {
+  if (!keyring || keyring.entries.length === 0) return null;
+
+  return (
+    <select
+      value=""
+      onChange={(e) => {
+        const entry = keyring.entries.find((k) => k.id === e.target.value);
+        if (entry) onPick(entry);
+      }}
+      className="w-full rounded-xl bg-zinc-900/50 px-3 py-2 text-xs text-zinc-100 ring-1 ring-zinc-800 focus:outline-none"
+    >
+      <option value="">🔑 From keyring{keyring.unlocked ? "" : " (locked: unlock before running)"}…</option>
+      {keyring.entries.map((k) => (
+        <option key={k.id} value={k.id}>
+          {k.label || "(no label)"} — {k.rid}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// a private key: a keyring key by id (privkey never held in React state) or, behind "paste key", raw hex.
+// onChange({ keyId, privHex }, entry): entry = the picked keyring entry (rid / pubHex), if any
+function KeySource({
+  keyring,
+  keyId,
+  privHex,
+  onChange,
+  placeholder = "0x...",
+  lockedNote = "Keyring locked: unlock it (Keyring tab) before running",
+}) {
+  const [paste, setPaste] = useState(false);
+  const entries = keyring?.entries || [];
+  const picked = entries.find((k) => k.id === keyId);
+
+  return (
+    <div className="space-y-1">
+      {paste ? (
+        <Input
+          value={privHex}
+          onChange={(e) => onChange({ keyId: "", privHex: e.target.value })}
+          placeholder={placeholder}
+        />
+      ) : (
+        <select
+          value={picked ? keyId : ""}
+          onChange={(e) => {
+            const entry = entries.find((k) => k.id === e.target.value);
+            onChange({ keyId: entry?.id || "", privHex: "" }, entry);
+          }}
+          className="w-full rounded-xl bg-zinc-900/50 px-3 py-2.5 text-sm text-zinc-100 ring-1 ring-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-400/40"
+        >
+          <option value="">
+            {privHex
+              ? "Pasted key set (paste key to see it)"
+              : !keyring
+                ? "The keyring holds secp256k1 keys only"
+                : entries.length
+                  ? "🔑 Pick a keyring key…"
+                  : "No keyring keys (Keyring tab)"}
+          </option>
+          {entries.map((k) => (
+            <option key={k.id} value={k.id}>
+              {k.label || "(no label)"} — {k.rid}
+            </option>
+          ))}
+        </select>
+      )}
+      <div className="flex items-center justify-between gap-2 text-xs">
+        <span className="text-zinc-500">{!paste && picked && !keyring.unlocked ? lockedNote : ""}</span>
+        <button type="button" onClick={() => setPaste(!paste)} className="text-zinc-500 hover:text-zinc-200">
+          {paste ? "use keyring" : "paste key"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// KeySource value → privHex: a keyring key is revealed only now, when the job needs it
+async function sourcePrivHex(keyring, { keyId, privHex }) {
+  if (!keyId) return privHex || "";
+  if (!keyring?.unlocked) throw new Error("Unlock the keyring (Keyring tab) to use its private keys");
+  return keyring.reveal(keyId);
+}
+
+function KemSelect({ value, onChange, className = "" }) {
+  return (
+    <select
+      value={getKem(value).id}
+      onChange={(e) => onChange(e.target.value)}
+      className={`rounded-xl bg-zinc-900/50 px-3 py-2 text-xs text-zinc-100 ring-1 ring-zinc-800 focus:outline-none ${className}`}
+    >
+      {KEMS.map((k) => (
+        <option key={k.id} value={k.id}>
+          {k.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function CipherSelect({ value, onChange, className = "" }) {
+  return (
+    <select
+      value={getCipher(value).id}
+      onChange={(e) => onChange(e.target.value)}
+      className={`rounded-xl bg-zinc-900/50 px-3 py-2 text-xs text-zinc-100 ring-1 ring-zinc-800 focus:outline-none ${className}`}
+    >
+      {CIPHERS.map((c) => (
+        <option key={c.id} value={c.id}>
+          {c.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function ProgressBar({ progress }) {
+  if (!progress) return null;
+  const pct = progress.total > 0 ? Math.min(100, Math.round((progress.done / progress.total) * 100)) : 100;
+  const amount =
+    progress.unit === "bytes"
+      ? `${formatBytes(progress.done)} / ${formatBytes(progress.total)}`
+      : `${progress.done} / ${progress.total}`;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-xs text-zinc-400">
+        <span>{progress.step}</span>
+        <span>
+          {amount} • {pct}%
+        </span>
+      </div>
+      <div className="h-1.5 overflow-hidden rounded-full bg-zinc-900 ring-1 ring-zinc-800">
+        <div className="h-full bg-emerald-400/60 transition-all" style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// ✅ worker-backed crypto job (one at a time across tabs, see lib/cryptoService.js)
+function useCryptoJob() {
+  const [state, setState] = useState({ running: false, progress: null });
+  const runIdRef = useRef(0);
+
+  const run = async (type, params) => {
+    const runId = ++runIdRef.current;
+    setState({ running: true, progress: null });
+    try {
+      return await cryptoService.run(type, params, {
+        onProgress: (progress) => {
+          if (runId === runIdRef.current) setState({ running: true, progress });
+        },
+      });
+    } finally {
+      if (runId === runIdRef.current) setState((prev) => ({ ...prev, running: false }));
+    }
+  };
+
+  const cancel = () => cryptoService.cancel();
+
+  const reset = () => {
+    runIdRef.current += 1;
+    cryptoService.cancel();
+    setState({ running: false, progress: null });
+  };
+
+  return { ...state, run, cancel, reset };
+}
+
+// ✅ keyring session, shared by all tabs (the derived key only lives in memory until lock / auto-lock)
+const AUTO_LOCK_MINUTES = [1, 5, 15, 60];
+
+function useKeyring() {
+  const [session, setSession] = useState(null);
+  const [initialized, setInitialized] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [autoLockMin, setAutoLockMin] = useState(5);
+  const [activity, setActivity] = useState(0);
+
+  const refresh = async () => {
+    setInitialized(await isKeyringInitialized());
+    setEntries(await listKeys());
+  };
+
+  useEffect(() => {
+    let alive = true;
+    Promise.all([isKeyringInitialized(), listKeys()])
+      .then(([init, list]) => {
+        if (!alive) return;
+        setInitialized(init);
+        setEntries(list);
+      })
+      .catch((e) => console.error(e));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  // auto-lock after `autoLockMin` minutes without keyring use
+  useEffect(() => {
+    if (!session) return;
+    const t = setTimeout(() => setSession(null), autoLockMin * 60 * 1000);
+    return () => clearTimeout(t);
+  }, [session, autoLockMin, activity]);
+
+  const withSession = (fn) => {
+    if (!session) throw new Error("Keyring is locked");
+    setActivity((n) => n + 1);
+    return fn(session);
+  };
+
+  const unlock = async (passphrase) => {
+    setSession(await unlockKeyring(passphrase));
+    await refresh();
+  };
+
+  const lock = () => setSession(null);
+
+  const reveal = (id) => withSession((s) => revealKey(s, id));
+
+  const generate = async (opts) => {
+    const entry = await withSession((s) => generateKey(s, opts));
+    await refresh();
+    return entry;
+  };
+
+  const add = async (opts) => {
+    const entry = await withSession((s) => importKey(s, opts));
+    await refresh();
+    return entry;
+  };
+
+  const update = async (id, patch) => {
+    await updateKey(id, patch);
+    await refresh();
+  };
+
+  const remove = async (id) => {
+    await deleteKey(id);
+    await refresh();
+  };
+
+  return {
+    unlocked: Boolean(session),
+    initialized,
+    entries,
+    autoLockMin,
+    setAutoLockMin,
+    unlock,
+    lock,
+    reveal,
+    generate,
+    add,
+    update,
+    remove,
+  };
+}
+
+function JobBar({ job }) {
+  if (!job.running && !job.progress) return null;
+
+  return (
+    <div className="flex items-center gap-3">
+      <div className="flex-1">
+        <ProgressBar progress={job.progress || { step: "starting", done: 0, total: 1 }} />
+      </div>
+      <Button variant="ghost" onClick={job.cancel} disabled={!job.running}>
+        Cancel
+      </Button>
+    </div>
+  );
+}
+
+// ✅ shared ciphertext storage picker (Encrypt stores, Decrypt fetches by envelope.uri)
+function StorageSettings({ storage, setStorage }) {
+  return (
+    <div className="grid gap-2 sm:grid-cols-2">
+      <select
+        value={storage.backend}
+        onChange={(e) => setStorage((prev) => ({ ...prev, backend: e.target.value }))}
+        className="w-full rounded-xl bg-zinc-900/50 px-3 py-2.5 text-sm text-zinc-100 ring-1 ring-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-400/40"
+      >
+        {STORAGE_BACKENDS.map((b) => (
+          <option key={b.id} value={b.id}>
+            {b.label}
+          </option>
+        ))}
+      </select>
+      {storage.backend === "http" ? (
+        <Input
+          value={storage.endpoint}
+          onChange={(e) => setStorage((prev) => ({ ...prev, endpoint: e.target.value }))}
+          placeholder={DEFAULT_HTTP_ENDPOINT}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+function DidBadge({ check }) {
+  if (!check) return null;
+  const tone =
+    check.status === "ok" ? "text-emerald-300" : check.status === "mismatch" ? "text-rose-300" : "text-zinc-500";
+  const icon = check.status === "ok" ? "✅" : check.status === "mismatch" ? "❌" : "•";
+
+  return (
+    <div className={classNames("text-xs", tone)}>
+      {icon} {check.status}: {check.detail}
+    </div>
+  );
+}
+
+// a recipient without a keypair: a rid and the passphrase the DEK is wrapped under (pw1)
+// recipient.confirm lives in the row (not local state): EncryptPanel refuses to wrap while it differs
+function PassphraseRecipient({ index, recipient, onChange, onRemove, canRemove }) {
+  const { passphrase, confirm } = recipient;
+
+  return (
+    <div className="rounded-xl bg-zinc-900/30 ring-1 ring-zinc-800 p-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs text-zinc-400">
+          Recipient #{index + 1} • passphrase (PBKDF2-SHA256, {PASSPHRASE_ITERATIONS.toLocaleString()} iters)
+        </div>
+        <Button variant="ghost" onClick={onRemove} disabled={!canRemove}>
+          Remove
+        </Button>
+      </div>
+
+      <div className="mt-3 grid gap-3">
+        <Field label="rid / kid" hint="Any label: shown in Decrypt next to the passphrase prompt">
+          <Input value={recipient.rid} onChange={(e) => onChange({ rid: e.target.value })} />
+        </Field>
+        <div className="grid gap-3 md:grid-cols-2">
+          <Field label="Passphrase" hint={`At least ${MIN_PASSPHRASE_LENGTH} characters`}>
+            <Input type="password" value={passphrase} onChange={(e) => onChange({ passphrase: e.target.value })} />
+          </Field>
+          <Field label="Confirm passphrase">
+            <Input type="password" value={confirm} onChange={(e) => onChange({ confirm: e.target.value })} />
+          </Field>
+        </div>
+        {passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH ? (
+          <div className="text-xs text-rose-300">Too short: the wrap will fail.</div>
+        ) : confirm !== passphrase ? (
+          <div className="text-xs text-rose-300">Passphrases differ: confirm it to encrypt.</div>
+        ) : null}
+        <div className="text-xs text-zinc-500">
+          Share the passphrase out of band: it is not exported with the bundle and cannot be recovered.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ✅ recipient onboarding: personal_sign challenge → recovered pubkey (must match the did:pkh address)
+function SignatureOnboarding({ rid, onRecovered }) {
+  const [message, setMessage] = useState(() => onboardingChallenge({ rid }));
+  const [signatureText, setSignatureText] = useState("");
+  const [result, setResult] = useState({ ok: false, msg: "" });
+
+  const stale = !message.includes(`Recipient: ${rid}\n`);
+
+  const recover = () => {
+    try {
+      const { pubHex, address } = onboardFromSignature({ rid, message, signatureText });
+      onRecovered(pubHex, address);
+      setResult({ ok: true, msg: `Recovered ${pubHex} (${address})` });
+    } catch (e) {
+      setResult({ ok: false, msg: String(e?.message || e) });
+    }
+  };
+
+  return (
+    <div className="space-y-3 rounded-xl bg-zinc-950 ring-1 ring-zinc-800 p-3">
+      <Field label="Challenge" hint="Recipient signs it with personal_sign (EIP-191)">
+        <CodeBlock value={message} />
+      </Field>
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="ghost"
+          onClick={async () => {
+            try {
+              await navigator.clipboard.writeText(message);
+            } catch {
+              setResult({ ok: false, msg: "Clipboard not available: copy the challenge manually" });
+            }
+          }}
+        >
+          Copy challenge
+        </Button>
+        <Button
+          variant="ghost"
+          onClick={() => {
+            setMessage(onboardingChallenge({ rid }));
+            setResult({ ok: false, msg: "" });
+          }}
+        >
+          New challenge
+        </Button>
+        <label className="inline-flex items-center gap-2 text-xs text-zinc-400 select-none cursor-pointer">
+          <input
+            type="file"
+            accept="application/json,.json,.txt"
+            className="hidden"
+            onChange={async (e) => {
+              const f = e.target.files?.[0];
+              if (f) setSignatureText(await f.text());
+            }}
+          />
+          <span className="inline-flex items-center rounded-xl px-3 py-2 ring-1 ring-zinc-800 bg-zinc-950 hover:bg-zinc-900/40">
+            Import signed message
+          </span>
+        </label>
+      </div>
+      {stale ? <div className="text-xs text-amber-300">rid changed since this challenge: generate a new one.</div> : null}
+      <Field label="Signature" hint='0x… (65 bytes) or {"address","msg","sig"} JSON'>
+        <Textarea
+          value={signatureText}
+          onChange={(e) => setSignatureText(e.target.value)}
+          placeholder="0x..."
+          className="min-h-[80px]"
+        />
+      </Field>
+      <div className="flex items-center gap-3">
+        <Button onClick={recover} disabled={!signatureText || stale}>
+          Recover pubkey
+        </Button>
+        {result.msg ? (
+          <div className={classNames("text-xs break-all", result.ok ? "text-emerald-300" : "text-rose-300")}>
+            {result.msg}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
 function CodeBlock({ value }) {
   return (
     <pre className="overflow-auto rounded-xl bg-zinc-900/40 p-3 text-xs text-zinc-200 ring-1 ring-zinc-800">
@@ -90,25 +765,255 @@ function CodeBlock({ value }) {
 }
 
 // --- helpers (top-level) ---
-function parseWk1(wrappedKey) {
-  if (typeof wrappedKey !== "string") throw new Error("wrappedKey must be a string");
-  const prefix = "pxp201:wk1:";
-  if (!wrappedKey.startsWith(prefix)) throw new Error("Not a wk1 key (expected prefix pxp201:wk1:)");
-
-  const b64url = wrappedKey.slice(prefix.length);
-  const b64 = b64url.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((b64url.length + 3) % 4);
-  const json = atob(b64);
-  return JSON.parse(json);
-}
-
 // ✅ 1) helper: okBadge
 function okBadge(ok) {
   return ok ? "✅ PASS" : "❌ FAIL";
 }
 
-function EncryptPanel({ onStatus }) {
+// envelope fingerprint (lib/canonical.js): sha256 of the canonical envelope, sig excluded
+function Fingerprint({ value }) {
+  if (!value) return <span className="text-zinc-500">—</span>;
+  return <span className="font-mono text-xs text-zinc-300 break-all">{value}</span>;
+}
+
+// recomputed vs claimed hashes (lib/diagnose.js recomputeHashes), side by side; "—" = absent
+function HashChecks({ hashes }) {
+  const rows = [
+    ["ciphertextHash", hashes.ciphertext],
+    ["aadHash", hashes.aad],
+  ];
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-left text-xs text-zinc-300">
+        <thead className="text-zinc-500">
+          <tr>
+            <th className="py-1 pr-3 font-normal">hash</th>
+            <th className="py-1 pr-3 font-normal">computed</th>
+            <th className="py-1 pr-3 font-normal">envelope claims</th>
+            <th className="py-1 pr-3 font-normal">bundle raw claims</th>
+            <th className="py-1 font-normal">result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([name, r]) => (
+            <tr key={name} className="border-t border-zinc-800 align-top">
+              <td className="py-1 pr-3">{name}</td>
+              <td className={classNames("py-1 pr-3 font-mono break-all", !r.match && "text-rose-300")}>
+                {r.computed || "—"}
+              </td>
+              <td className="py-1 pr-3 font-mono break-all">{r.claimed || "—"}</td>
+              <td className={classNames("py-1 pr-3 font-mono break-all", !r.bundleMatch && "text-rose-300")}>
+                {r.bundle || "—"}
+              </td>
+              <td className="py-1 whitespace-nowrap">{okBadge(r.match && r.bundleMatch)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// <input type="datetime-local"> value (local time) ⇄ unix seconds; "" = unset
+function localToUnix(value) {
+  return value ? Math.floor(new Date(value).getTime() / 1000) : undefined;
+}
+
+// strict / clock override settings (App sidebar) → the { now, strictValidity } job params
+function validityParams(policy) {
+  return { now: localToUnix(policy.clockOverride), strictValidity: policy.strict };
+}
+
+// envelope validity window (lib/validity.js): null = no window
+function ValidityStatus({ validity }) {
+  if (!validity) return <span className="text-zinc-500">— no window</span>;
+  const range = [
+    validity.notBefore !== undefined ? `from ${new Date(validity.notBefore * 1000).toLocaleString()}` : "",
+    validity.expiresAt !== undefined ? `until ${new Date(validity.expiresAt * 1000).toLocaleString()}` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return (
+    <span className="text-right">
+      {validity.status === "valid" ? "✅ valid" : `⚠️ ${validity.status}`}
+      <span className="block text-xs text-zinc-500">{range}</span>
+    </span>
+  );
+}
+
+// sender signature (lib/signature.js): null = unsigned envelope
+function SignatureStatus({ signature }) {
+  if (!signature) return <span className="text-zinc-500">— unsigned</span>;
+  return (
+    <span className="text-right">
+      {okBadge(signature.valid)}
+      <span className="block text-xs text-zinc-500 break-all">
+        signer {signature.kid || "(no kid)"}
+        {signature.signer ? ` • ${signature.signer.status}: ${signature.signer.detail}` : ""}
+      </span>
+    </span>
+  );
+}
+
+// per-recipient encrypt sanity report (jobs.js checkRecipients); null = no private key to check with
+function HealthTable({ health }) {
+  const cell = (v) => (v === null ? <span className="text-zinc-500">—</span> : v ? "✅" : "❌");
+  const ms = (v) => (v === null ? "—" : `${v.toFixed(1)}`);
+
+  return (
+    <div className="space-y-2">
+      <div className={classNames("text-sm font-medium", health.healthy ? "text-emerald-300" : "text-rose-300")}>
+        {health.healthy ? "✅ Healthy" : "❌ Unhealthy"} • {health.checked}/{health.rows.length} recipient(s)
+        round-tripped
+      </div>
+      {health.threshold ? (
+        <div className="text-xs text-zinc-500">
+          {health.threshold.k}-of-{health.rows.length}: each share is checked by combining it with{" "}
+          {health.threshold.k - 1} other(s)
+          {health.threshold.keys < health.threshold.k
+            ? ` (keys for ${health.threshold.keys} recipient(s) only, below k: decrypt not checked)`
+            : ""}
+        </div>
+      ) : null}
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-xs text-zinc-300">
+          <thead className="text-zinc-500">
+            <tr>
+              <th className="py-1 pr-3 font-normal">rid</th>
+              <th className="py-1 pr-3 font-normal">wrap</th>
+              <th className="py-1 pr-3 font-normal">unwrap</th>
+              <th className="py-1 pr-3 font-normal">plaintext</th>
+              <th className="py-1 font-normal">ms (wrap / unwrap / decrypt)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {health.rows.map((r, i) => (
+              <tr key={i} className="border-t border-zinc-800 align-top">
+                <td className="py-1 pr-3 break-all">
+                  {r.rid}
+                  {r.error ? <div className="text-rose-300">{r.error}</div> : null}
+                </td>
+                <td className="py-1 pr-3">{cell(r.wrapOk)}</td>
+                <td className="py-1 pr-3">{cell(r.unwrapOk)}</td>
+                <td className="py-1 pr-3">{cell(r.plaintextMatch)}</td>
+                <td className="py-1 whitespace-nowrap">
+                  {ms(r.ms.wrap)} / {ms(r.ms.unwrap)} / {ms(r.ms.decrypt)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// structured AAD (lib/aad.js): one string shared by every panel, editable as typed fields
+function parseDraft(value) {
+  try {
+    return { fields: parseAad(value), error: "" };
+  } catch (e) {
+    return { fields: null, error: String(e?.message || e) };
+  }
+}
+
+function AadEditor({ value, onChange, hint }) {
+  const [showFields, setShowFields] = useState(false);
+  // the draft keeps what is being typed (spaces, empty custom rows) until it encodes to `value`
+  const [draft, setDraft] = useState(() => parseDraft(value));
+  const [seen, setSeen] = useState(value);
+  if (value !== seen) {
+    setSeen(value);
+    if (!draft.fields || encodeAad(draft.fields) !== value) setDraft(parseDraft(value));
+  }
+
+  const update = (fields) => {
+    setDraft({ fields, error: "" });
+    onChange(encodeAad(fields));
+  };
+  const setField = (key, v) => update({ ...draft.fields, [key]: v });
+  const setCustom = (i, patch) =>
+    update({ ...draft.fields, custom: draft.fields.custom.map((c, j) => (j === i ? { ...c, ...patch } : c)) });
+  // an empty custom row encodes to nothing: it only lives in the draft until it gets a key
+  const addCustom = () =>
+    setDraft({ ...draft, fields: { ...draft.fields, custom: [...draft.fields.custom, { key: "", value: "" }] } });
+
+  const canonical = normalizeAad(value);
+  const errors = draft.fields ? validateAad(draft.fields) : [];
+
+  return (
+    <Field label="AAD (optional)" hint={hint}>
+      <div className="space-y-2">
+        <div className="flex gap-2">
+          <Input value={value} onChange={(e) => onChange(e.target.value)} placeholder={DEFAULT_AAD} />
+          <Button variant="ghost" onClick={() => setShowFields((s) => !s)}>
+            {showFields ? "Hide fields" : "Fields"}
+          </Button>
+        </div>
+
+        {canonical === null ? (
+          <div className="text-xs text-amber-300">Free-text AAD (not structured): {draft.error}</div>
+        ) : canonical !== value ? (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-amber-300">
+            <span className="break-all">Not canonical, encodes as {canonical || "(empty)"}</span>
+            <Button variant="ghost" onClick={() => onChange(canonical)}>
+              Normalize
+            </Button>
+          </div>
+        ) : null}
+
+        {showFields && draft.fields ? (
+          <div className="space-y-3 rounded-xl bg-zinc-900/30 ring-1 ring-zinc-800 p-3">
+            <div className="grid gap-3 md:grid-cols-2">
+              {AAD_FIELDS.map((f) => (
+                <label key={f.key} className="block text-xs text-zinc-400">
+                  {f.label}
+                  <Input
+                    className="mt-1"
+                    value={draft.fields[f.key]}
+                    onChange={(e) => setField(f.key, e.target.value)}
+                    placeholder={f.placeholder}
+                  />
+                </label>
+              ))}
+            </div>
+
+            {draft.fields.custom.map((c, i) => (
+              <div key={i} className="flex gap-2">
+                <Input value={c.key} onChange={(e) => setCustom(i, { key: e.target.value })} placeholder="key" />
+                <Input value={c.value} onChange={(e) => setCustom(i, { value: e.target.value })} placeholder="value" />
+                <Button
+                  variant="ghost"
+                  onClick={() => update({ ...draft.fields, custom: draft.fields.custom.filter((_, j) => j !== i) })}
+                >
+                  Remove
+                </Button>
+              </div>
+            ))}
+            <Button variant="ghost" onClick={addCustom}>
+              Add custom field
+            </Button>
+
+            {errors.map((e) => (
+              <div key={e.key} className="text-xs text-rose-300">
+                {e.error}
+              </div>
+            ))}
+          </div>
+        ) : null}
+      </div>
+    </Field>
+  );
+}
+
+function EncryptPanel({ aadText, setAadText, storage, setStorage, keyring, onStatus }) {
   const [plaintext, setPlaintext] = useState("hello from PXP-201");
-  const [aadText, setAadText] = useState("app:pxp201-ui|v0.1");
+  const [inputMode, setInputMode] = useState("text");
+  const [file, setFile] = useState(null);
+  const [chunked, setChunked] = useState(false);
+  const [chunkSize, setChunkSize] = useState(DEFAULT_CHUNK_SIZE);
+  const [cipher, setCipher] = useState(DEFAULT_CIPHER);
+  const job = useCryptoJob();
 
   // ✅ multi-recipient state
   const [recipients, setRecipients] = useState([
@@ -123,27 +1028,72 @@ function EncryptPanel({ onStatus }) {
   const [rawOut, setRawOut] = useState(null);
   const [wrappedKey, setWrappedKey] = useState("");
   const [envelope, setEnvelope] = useState(null);
+  const [fingerprint, setFingerprint] = useState("");
   const [decryptCheck, setDecryptCheck] = useState("");
+  const [health, setHealth] = useState(null);
+  const [stored, setStored] = useState("");
+  const [exportProfile, setExportProfile] = useState("public");
+  // what the last Encrypt wrapped for, and under which AAD: exports read this, not the (since edited) form
+  const [encrypted, setEncrypted] = useState(null);
+
+  // RECIPIENTS (any one decrypts) or THRESHOLD (k of the n recipients together)
+  const [accessMode, setAccessMode] = useState({ mode: "RECIPIENTS", k: 2 });
+  // optional sender signature over the envelope
+  const [sender, setSender] = useState({ enabled: false, keyId: "", privHex: "", kid: "" });
+  // optional validity window (datetime-local values), bound into the AAD
+  const [lifetime, setLifetime] = useState({ notBefore: "", expiresAt: "" });
+
+  // ✅ DID resolution: did:key decoded locally, other DIDs via the local JSON registry
+  const [registryText, setRegistryText] = useState("");
+  const registry = useMemo(() => {
+    try {
+      return { value: registryText.trim() ? JSON.parse(registryText) : {}, error: "" };
+    } catch (e) {
+      return { value: {}, error: String(e?.message || e) };
+    }
+  }, [registryText]);
+  const resolver = useMemo(
+    () => createDidResolver([didKeyResolver, registryResolver(registry.value)]),
+    [registry.value]
+  );
 
-  // ✅ helpers (replace ensureRecipient)
-  const ensureRecipientAt = (i) => {
-    const r = recipients[i];
-    if (!r) throw new Error("recipient index out of range");
+  // resolve a row's rid; a resolved pubkey replaces the row's keys (the demo privkey no longer matches)
+  const resolveRow = async (r) => {
+    let next = r;
+    try {
+      const resolved = await resolver.resolve(r.rid);
+      if (resolved && resolved.pubHex.toLowerCase() !== (r.recipientPubHex || "").toLowerCase()) {
+        next = { ...r, recipientPubHex: resolved.pubHex, recipientPrivHex: "", keyId: "" };
+      }
+    } catch {
+      // reported by checkRecipientDid below
+    }
+    return { ...next, didCheck: await checkRecipientDid(next, resolver) };
+  };
 
-    // already set
-    if (r.recipientPrivHex && r.recipientPubHex) return r;
+  // DIDs resolve to secp256k1 keys: P-256 / X25519 rows (and passphrase rows) carry their pubkey as typed
+  const isSecpRow = (r) => r.kind !== "passphrase" && getKem(r.kem).id === DEFAULT_KEM;
 
-    const priv = secp.utils.randomSecretKey();
-    const pub = secp.getPublicKey(priv, true);
+  const resolveRecipient = async (i) => {
+    const r = recipients[i];
+    if (!r || !isSecpRow(r)) return;
+    const next = await resolveRow(r);
+    setRecipients((prev) => prev.map((x, idx) => (idx === i && x.rid === r.rid ? next : x)));
+  };
 
-    const next = [...recipients];
-    next[i] = {
-      ...r,
-      recipientPrivHex: u8ToHex(priv),
-      recipientPubHex: u8ToHex(pub),
-    };
-    setRecipients(next);
-    return next[i];
+  // ✅ helpers: fill missing demo keys (of each row's KEM) for every recipient in one state update
+  const ensureRecipients = async (list = recipients) => {
+    const next = await Promise.all(
+      list.map(async (r) => {
+        if (r.recipientPubHex || r.kind === "passphrase") return r;
+        if (r.recipientPrivHex) return { ...r, recipientPubHex: await publicKeyOf(r.kem, r.recipientPrivHex) };
+
+        const { privHex, pubHex } = await generateKeyPair(r.kem);
+        return { ...r, recipientPrivHex: privHex, recipientPubHex: pubHex };
+      })
+    );
+    if (next.some((r, i) => r !== recipients[i])) setRecipients(next);
+    return next;
   };
 
   const addRecipient = () => {
@@ -157,116 +1107,174 @@ function EncryptPanel({ onStatus }) {
     ]);
   };
 
+  // a recipient without a keypair: the DEK is wrapped under a key derived from the passphrase (pw1)
+  const addPassphraseRecipient = () => {
+    setRecipients((prev) => [
+      ...prev,
+      {
+        kind: "passphrase",
+        rid: `passphrase:${prev.length + 1}`,
+        passphrase: "",
+        confirm: "",
+        recipientPrivHex: "",
+        recipientPubHex: "",
+      },
+    ]);
+  };
+
+  // which recipient row has the signature onboarding form open
+  const [onboardingIdx, setOnboardingIdx] = useState(-1);
+
+  const storeRecoveredPubkey = (i, pubHex, address) => {
+    setRecipients((prev) =>
+      prev.map((r, idx) =>
+        idx === i
+          ? {
+              ...r,
+              recipientPubHex: pubHex,
+              recipientPrivHex: "",
+              keyId: "",
+              didCheck: { status: "ok", detail: `recovered from personal_sign by ${address}` },
+            }
+          : r
+      )
+    );
+  };
+
   const removeRecipient = (i) => {
+    setOnboardingIdx(-1);
     setRecipients((prev) => prev.filter((_, idx) => idx !== i));
   };
 
   const updateRecipient = (i, patch) => {
-    setRecipients((prev) => prev.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
+    setRecipients((prev) => prev.map((r, idx) => (idx === i ? { ...r, ...patch, didCheck: null } : r)));
+  };
+
+  const regenRecipient = async (i) => {
+    const { privHex, pubHex } = await generateKeyPair(recipients[i]?.kem);
+    updateRecipient(i, { recipientPrivHex: privHex, recipientPubHex: pubHex, keyId: "" });
   };
 
-  const regenRecipient = (i) => {
-    const priv = secp.utils.randomSecretKey();
-    const pub = secp.getPublicKey(priv, true);
-    updateRecipient(i, { recipientPrivHex: u8ToHex(priv), recipientPubHex: u8ToHex(pub) });
+  // keyring rows: privkeys are revealed for the job / export only (when unlocked), never kept in state
+  const revealRows = (list) =>
+    Promise.all(
+      list.map(async (r) =>
+        r.keyId && keyring?.unlocked ? { ...r, recipientPrivHex: await keyring.reveal(r.keyId) } : r
+      )
+    );
+
+  // sender key: keyring or pasted key, else a demo key; kid falls back to the key's did:key (signature.js)
+  const senderKey = async () => {
+    if (sender.keyId || sender.privHex) return { privHex: await sourcePrivHex(keyring, sender), kid: sender.kid };
+    const privHex = u8ToHex(secp.utils.randomSecretKey());
+    setSender((prev) => ({ ...prev, privHex }));
+    return { privHex, kid: sender.kid };
   };
 
   const runEncrypt = async () => {
     onStatus?.({ sdk: "running" });
     setDecryptCheck("");
+    setHealth(null);
     setRawOut(null);
     setWrappedKey("");
     setEnvelope(null);
+    setFingerprint("");
+    setStored("");
+    setEncrypted(null);
 
     try {
-      // 1) encrypt payload
-      const raw = await encryptTextRaw({
-        plaintext,
-        cipher: "AES-256-GCM",
-        aadText: aadText || undefined,
-      });
+      if (unconfirmed.length > 0) {
+        throw new Error(`Confirm the passphrase of ${unconfirmed.map((r) => r.rid).join(", ")} before encrypting`);
+      }
 
-      // 2) ensure/gather recipients, wrap DEK for each (wk1)
-      const recipReady = recipients.map((_, i) => ensureRecipientAt(i));
-
-      const recipientEntries = await Promise.all(
-        recipReady.map(async (r) => {
-          const wk = await wrapDEK_secp256k1({
-            dek: raw.dek,
-            recipientPubKeyHex: r.recipientPubHex,
-            kid: r.rid,
-            aadText: aadText || undefined,
-          });
-          return { rid: r.rid, wrappedKey: wk };
-        })
+      // resolve rids → pubkeys, fill demo keys, and refuse to wrap for a rid/pubkey mismatch
+      const resolved = await Promise.all(
+        recipients.map((r) => (r.recipientPubHex || !isSecpRow(r) ? r : resolveRow(r)))
       );
+      const filled = await ensureRecipients(resolved);
+      const recipReady = await Promise.all(
+        filled.map(async (r) => ({ ...r, didCheck: isSecpRow(r) ? await checkRecipientDid(r, resolver) : null }))
+      );
+      setRecipients(recipReady);
 
-      // 3) build envelope (multi-recipient)
-      const env = {
-        v: "0.1",
-        typ: "PXP201",
-        cipher: "AES-256-GCM",
-        kdf: "HKDF-SHA256",
-        access: {
-          mode: "RECIPIENTS",
-          kem: "RECIPIENTS-SECP256K1-ECIES",
-          recipients: recipientEntries,
-        },
-        uri: "ipfs://<your-ciphertext-uri>",
-        ciphertextHash: raw.ciphertextHash,
-        ...(raw.aadHash ? { aadHash: raw.aadHash } : {}),
-        meta: { mime: "text/plain" },
-        createdAt: nowUnix(),
-      };
-
-      validateEnvelope(env);
+      const bad = recipReady
+        .map((r, i) => ({ r, i }))
+        .filter(({ r }) => r.didCheck?.status === "mismatch");
+      if (bad.length > 0) {
+        throw new Error(
+          "rid/pubkey mismatch: " + bad.map(({ r, i }) => `#${i + 1} ${r.rid} (${r.didCheck.detail})`).join("; ")
+        );
+      }
 
-      setRawOut(raw);
-      setEnvelope(env);
+      // encrypt → wrap → validate in the worker
 
-      // (optional) keep a “primary” wrappedKey for convenience/UI display:
-      setWrappedKey(recipientEntries[0]?.wrappedKey || "");
+      const res = await job.run("encrypt", {
+        inputMode,
+        plaintext,
+        file,
+        chunked,
+        chunkSize,
+        cipher,
+        aadText,
+        // the confirm field stays in the form
+        recipients: (await revealRows(recipReady)).map((r) =>
+          r.kind === "passphrase" ? { ...r, confirm: undefined } : r
+        ),
+        sender: sender.enabled ? await senderKey() : undefined,
+        validity: { notBefore: localToUnix(lifetime.notBefore), expiresAt: localToUnix(lifetime.expiresAt) },
+        access: accessMode,
+      });
 
-      onStatus?.({ sdk: "ok" });
+      // the window (if any) now lives in the AAD too: Decrypt must use the same string
+      setAadText(res.aadText);
+      setRawOut(res.raw);
+      setEnvelope(res.envelope);
+      setFingerprint(res.fingerprint);
+      // passphrase rows hold nothing to export (and their passphrase never goes into a file)
+      setEncrypted({ recipients: recipReady.filter((r) => r.kind !== "passphrase"), aadText: res.aadText });
 
-      // 4) local sanity decrypt using first recipient (optional)
-      const first = recipReady[0];
-      if (first?.recipientPrivHex && recipientEntries[0]?.wrappedKey) {
-        const dek2 = await unwrapDEK_secp256k1({
-          wrappedKey: recipientEntries[0].wrappedKey,
-          recipientPrivKeyHex: first.recipientPrivHex,
-          aadText: aadText || undefined,
-        });
-
-        const out = await decryptTextFromEnvelope({
-          envelope: env,
-          dek: dek2,
-          ciphertextB64url: raw.ciphertextB64url,
-          nonceB64url: raw.nonceB64url,
-          aadText: aadText || undefined,
-        });
-
-        setDecryptCheck(out);
+      // (optional) keep a “primary” wrappedKey for convenience/UI display:
+      setWrappedKey(res.envelope.access.recipients[0]?.wrappedKey || "");
+      setHealth(res.health);
+
+      // store ciphertext under its content id (envelope.uri already points at it)
+      const adapter = createStorage(storage);
+      if (adapter) {
+        await adapter.put(res.ciphertext, res.cid);
+        setStored(`Stored ${formatBytes(res.ciphertext.size)} via ${storage.backend} → ${res.envelope.uri}`);
       }
+
+      onStatus?.({ sdk: res.health.healthy ? "ok" : "error" });
     } catch (e) {
+      if (isCancelled(e)) {
+        onStatus?.({ sdk: "cancelled" });
+        setDecryptCheck("Cancelled.");
+        return;
+      }
       console.error(e);
       onStatus?.({ sdk: "error" });
       setDecryptCheck(String(e?.message || e));
     }
   };
 
-  const downloadBundle = () => {
-    if (!rawOut || !envelope) return;
+  const downloadBundle = async () => {
+    if (!rawOut || !envelope || !encrypted) return;
+    if (health && !health.healthy && !window.confirm("This envelope failed its sanity check. Export anyway?")) return;
 
-    const recipReady = recipients.map((_, i) => ensureRecipientAt(i));
+    // only rows the envelope lists: a row added or edited after Encrypt gets no key in the export
+    const listed = new Set(envelope.access.recipients.map((e) => e.rid));
+    const rows = encrypted.recipients.filter((r) => listed.has(r.rid));
+    // the public profile drops every privkey: keyring keys are only revealed for demo / key-file exports
+    const recipReady = exportProfile === "public" ? rows : await revealRows(rows);
 
     const recipientPrivHexByRid = Object.fromEntries(recipReady.map((r) => [r.rid, r.recipientPrivHex]));
     const recipientPubHexByRid = Object.fromEntries(recipReady.map((r) => [r.rid, r.recipientPubHex]));
 
     const payload = {
-      aadText: aadText || "",
+      aadText: encrypted.aadText || "",
       raw: {
-        ciphertextB64url: rawOut.ciphertextB64url,
+        // chunked ciphertext is too large for JSON: it ships as a separate file
+        ...(rawOut.ciphertext ? { ciphertextFile: CIPHERTEXT_FILENAME } : { ciphertextB64url: rawOut.ciphertextB64url }),
         nonceB64url: rawOut.nonceB64url,
         ciphertextHash: rawOut.ciphertextHash,
         ...(rawOut.aadHash ? { aadHash: rawOut.aadHash } : {}),
@@ -278,37 +1286,131 @@ function EncryptPanel({ onStatus }) {
       recipientPubHexByRid,
     };
 
-    downloadText("pxp201-bundle.json", JSON.stringify(payload, null, 2));
+    if (exportProfile === "keyfile") {
+      // one file per recipient we hold a key for (DID-resolved recipients have none)
+      for (const r of recipReady.filter((x) => x.recipientPrivHex)) {
+        downloadText(keyFileName(r.rid), JSON.stringify(recipientKeyFile(r), null, 2));
+      }
+      return;
+    }
+
+    if (exportProfile === "demo") {
+      downloadText("pxp201-bundle.json", canonicalize(payload));
+      return;
+    }
+
+    downloadText("pxp201-bundle.public.json", canonicalize(publicBundle(payload)));
   };
 
+  // a typo in an unconfirmed passphrase would lock its recipient out for good
+  const unconfirmed = recipients.filter((r) => r.kind === "passphrase" && r.confirm !== r.passphrase);
+
+  // one pill per KEM in use, so the header says what the bundle will carry
+  const kemLabels = [...new Set(recipients.filter((r) => r.kind !== "passphrase").map((r) => getKem(r.kem).label))];
+
   return (
     <div className="space-y-6">
       <div className="flex flex-wrap items-center gap-2">
-        <Pill>AES-256-GCM</Pill>
+        <Pill>{getCipher(cipher).label}</Pill>
         <Pill>HKDF-SHA256</Pill>
-        <Pill>wk1 secp256k1 ECIES</Pill>
+        {kemLabels.map((label) => (
+          <Pill key={label}>wk1 {label} ECIES</Pill>
+        ))}
+        {recipients.some((r) => r.kind === "passphrase") ? <Pill>pw1 PBKDF2 passphrase</Pill> : null}
       </div>
 
       <div className="grid gap-5 md:grid-cols-2">
-        <Field label="Plaintext">
-          <Textarea value={plaintext} onChange={(e) => setPlaintext(e.target.value)} />
+        <Field
+          label="Plaintext"
+          hint={
+            <span className="inline-flex gap-1">
+              {["text", "file"].map((m) => (
+                <button
+                  key={m}
+                  onClick={() => setInputMode(m)}
+                  className={classNames(
+                    "rounded-lg px-2 py-0.5 ring-1",
+                    inputMode === m ? "ring-emerald-400/40 text-zinc-100" : "ring-zinc-800 text-zinc-500"
+                  )}
+                >
+                  {m}
+                </button>
+              ))}
+            </span>
+          }
+        >
+          {inputMode === "file" ? (
+            <FileDrop file={file} onFile={setFile} hint="Drop a PDF, image, JSON… or click to pick" />
+          ) : (
+            <Textarea value={plaintext} onChange={(e) => setPlaintext(e.target.value)} />
+          )}
         </Field>
 
         <div className="space-y-5">
-          <Field label="AAD (optional)" hint="Keep stable between wrap + decrypt">
-            <Input
-              value={aadText}
-              onChange={(e) => setAadText(e.target.value)}
-              placeholder="app:my-app|chain:eip155:1|epoch:..."
-            />
+          <AadEditor value={aadText} onChange={setAadText} hint="Keep stable between wrap + decrypt" />
+
+          <Field label="Payload cipher" hint="Recorded as envelope.cipher: XChaCha20's 24-byte nonces suit high volume">
+            <CipherSelect value={cipher} onChange={setCipher} className="w-full" />
           </Field>
 
           <div className="flex flex-wrap gap-2">
-            <Button onClick={runEncrypt}>Encrypt → Wrap → Envelope</Button>
-            <Button variant="ghost" onClick={downloadBundle} disabled={!rawOut || !envelope}>
-              Download bundle JSON
+            <Button onClick={runEncrypt} disabled={job.running || unconfirmed.length > 0}>
+              Encrypt → Wrap → Envelope
+            </Button>
+            <Button variant="ghost" onClick={downloadBundle} disabled={!rawOut || !envelope || !encrypted}>
+              {exportProfile === "keyfile" ? "Download key files" : "Download bundle JSON"}
             </Button>
+            <select
+              value={exportProfile}
+              onChange={(e) => setExportProfile(e.target.value)}
+              className="rounded-xl bg-zinc-900/50 px-3 py-2 text-sm text-zinc-100 ring-1 ring-zinc-800 focus:outline-none"
+            >
+              {EXPORT_PROFILES.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+            {rawOut?.ciphertext ? (
+              <Button variant="ghost" onClick={() => downloadBlob(CIPHERTEXT_FILENAME, rawOut.ciphertext)}>
+                Download ciphertext (.bin)
+              </Button>
+            ) : null}
           </div>
+
+          <Field label="Ciphertext storage" hint="Fills envelope.uri with ipfs://<cid>">
+            <StorageSettings storage={storage} setStorage={setStorage} />
+          </Field>
+          {stored ? <div className="text-xs text-emerald-300 break-all">{stored}</div> : null}
+
+          {inputMode === "file" ? (
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="inline-flex items-center gap-2 text-xs text-zinc-400 select-none">
+                <input
+                  type="checkbox"
+                  checked={chunked}
+                  onChange={(e) => setChunked(e.target.checked)}
+                  className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
+                />
+                chunked (streaming, for large files)
+              </label>
+              {chunked ? (
+                <select
+                  value={chunkSize}
+                  onChange={(e) => setChunkSize(Number(e.target.value))}
+                  className="rounded-lg bg-zinc-900/50 px-2 py-1 text-xs text-zinc-100 ring-1 ring-zinc-800 focus:outline-none"
+                >
+                  {[256 * 1024, DEFAULT_CHUNK_SIZE, 4 * 1024 * 1024, 16 * 1024 * 1024].map((n) => (
+                    <option key={n} value={n}>
+                      {formatBytes(n)} chunks
+                    </option>
+                  ))}
+                </select>
+              ) : null}
+            </div>
+          ) : null}
+
+          <JobBar job={job} />
         </div>
       </div>
 
@@ -318,49 +1420,140 @@ function EncryptPanel({ onStatus }) {
           <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4">
             <div className="flex items-center justify-between">
               <div className="text-sm font-medium">Recipients (demo)</div>
-              <div className="flex gap-2">
+              <div className="flex items-center gap-2">
+                <select
+                  value={accessMode.mode}
+                  onChange={(e) => setAccessMode((prev) => ({ ...prev, mode: e.target.value }))}
+                  className="rounded-lg bg-zinc-900/50 px-2 py-1 text-xs text-zinc-100 ring-1 ring-zinc-800 focus:outline-none"
+                >
+                  <option value="RECIPIENTS">any recipient decrypts</option>
+                  <option value="THRESHOLD">threshold (k-of-n)</option>
+                </select>
+                {accessMode.mode === "THRESHOLD" ? (
+                  <label className="inline-flex items-center gap-1 text-xs text-zinc-400">
+                    k
+                    <input
+                      type="number"
+                      min={2}
+                      max={recipients.length}
+                      value={accessMode.k}
+                      onChange={(e) => setAccessMode((prev) => ({ ...prev, k: Number(e.target.value) }))}
+                      className="w-14 rounded-lg bg-zinc-900/50 px-2 py-1 text-xs text-zinc-100 ring-1 ring-zinc-800 focus:outline-none"
+                    />
+                    of {recipients.length}
+                  </label>
+                ) : null}
                 <Button variant="ghost" onClick={addRecipient}>
                   Add
                 </Button>
+                <Button variant="ghost" onClick={addPassphraseRecipient} disabled={accessMode.mode === "THRESHOLD"}>
+                  Add passphrase
+                </Button>
               </div>
             </div>
 
             <div className="mt-3 grid gap-4">
-              {recipients.map((r, i) => (
-                <div key={i} className="rounded-xl bg-zinc-900/30 ring-1 ring-zinc-800 p-3">
-                  <div className="flex items-center justify-between">
-                    <div className="text-xs text-zinc-400">Recipient #{i + 1}</div>
-                    <div className="flex gap-2">
-                      <Button variant="ghost" onClick={() => regenRecipient(i)}>
-                        Regenerate
-                      </Button>
-                      <Button variant="ghost" onClick={() => removeRecipient(i)} disabled={recipients.length <= 1}>
-                        Remove
-                      </Button>
+              {recipients.map((r, i) =>
+                r.kind === "passphrase" ? (
+                  <PassphraseRecipient
+                    key={i}
+                    index={i}
+                    recipient={r}
+                    onChange={(patch) => updateRecipient(i, patch)}
+                    onRemove={() => removeRecipient(i)}
+                    canRemove={recipients.length > 1}
+                  />
+                ) : (
+                  <div key={i} className="rounded-xl bg-zinc-900/30 ring-1 ring-zinc-800 p-3">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-2 text-xs text-zinc-400">
+                        Recipient #{i + 1}
+                        {/* keys are per curve: switching KEM drops the row's keys */}
+                        <KemSelect
+                          value={r.kem}
+                          onChange={(kem) =>
+                            updateRecipient(i, { kem, recipientPrivHex: "", recipientPubHex: "", keyId: "" })
+                          }
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        {isSecpRow(r) ? (
+                          <Button variant="ghost" onClick={() => setOnboardingIdx(onboardingIdx === i ? -1 : i)}>
+                            {onboardingIdx === i ? "Close onboarding" : "Onboard via signature"}
+                          </Button>
+                        ) : null}
+                        <Button variant="ghost" onClick={() => regenRecipient(i)}>
+                          Regenerate
+                        </Button>
+                        <Button variant="ghost" onClick={() => removeRecipient(i)} disabled={recipients.length <= 1}>
+                          Remove
+                        </Button>
+                      </div>
                     </div>
-                  </div>
 
-                  <div className="mt-3 grid gap-3">
-                    <Field label="rid / kid">
-                      <Input value={r.rid} onChange={(e) => updateRecipient(i, { rid: e.target.value })} />
-                    </Field>
-                    <Field label="recipientPrivHex (demo only)">
-                      <Input
-                        value={r.recipientPrivHex}
-                        onChange={(e) => updateRecipient(i, { recipientPrivHex: e.target.value })}
-                        placeholder="0x..."
-                      />
-                    </Field>
-                    <Field label="recipientPubHex">
-                      <Input
-                        value={r.recipientPubHex}
-                        onChange={(e) => updateRecipient(i, { recipientPubHex: e.target.value })}
-                        placeholder="0x..."
-                      />
-                    </Field>
+                    <div className="mt-3 grid gap-3">
+                      <Field
+                        label="rid / kid"
+                        hint={
+                          isSecpRow(r) ? "did:key / did:pkh / registry DID" : "Any id: DIDs resolve secp256k1 keys only"
+                        }
+                      >
+                        <div className="flex gap-2">
+                          <Input
+                            value={r.rid}
+                            onChange={(e) => updateRecipient(i, { rid: e.target.value })}
+                            onBlur={() => resolveRecipient(i)}
+                          />
+                          {isSecpRow(r) ? (
+                            <Button variant="ghost" onClick={() => resolveRecipient(i)}>
+                              Resolve
+                            </Button>
+                          ) : null}
+                        </div>
+                      </Field>
+                      <DidBadge check={r.didCheck} />
+                      {onboardingIdx === i && isSecpRow(r) ? (
+                        <SignatureOnboarding
+                          rid={r.rid}
+                          onRecovered={(pubHex, address) => storeRecoveredPubkey(i, pubHex, address)}
+                        />
+                      ) : null}
+                      <Field label="Recipient key (demo only)" hint="A keyring key also sets rid + pubkey">
+                        <KeySource
+                          keyring={isSecpRow(r) ? keyring : null}
+                          lockedNote="Keyring locked: the pubkey is enough to encrypt"
+                          keyId={r.keyId}
+                          privHex={r.recipientPrivHex}
+                          onChange={({ keyId, privHex }, k) =>
+                            updateRecipient(i, {
+                              keyId,
+                              recipientPrivHex: privHex,
+                              ...(k ? { rid: k.rid, recipientPubHex: k.pubHex } : {}),
+                            })
+                          }
+                        />
+                      </Field>
+                      <Field label="recipientPubHex" hint={getKem(r.kem).pubHint}>
+                        <Input
+                          value={r.recipientPubHex}
+                          onChange={(e) => updateRecipient(i, { recipientPubHex: e.target.value })}
+                          placeholder="0x..."
+                        />
+                      </Field>
+                    </div>
                   </div>
-                </div>
-              ))}
+                )
+              )}
+
+              <Field label="DID registry (JSON, optional)" hint='{"did:pkh:eip155:1:0x…": "0x02…"} or DID documents'>
+                <Textarea
+                  value={registryText}
+                  onChange={(e) => setRegistryText(e.target.value)}
+                  placeholder='{"did:web:alice.example": {"publicKeyHex": "0x02..."}}'
+                  className="min-h-[80px]"
+                />
+              </Field>
+              {registry.error ? <div className="text-xs text-rose-300">Registry JSON: {registry.error}</div> : null}
 
               <div className="text-xs text-zinc-500">
                 ⚠️ Demo only: in real apps, pubkeys come from wallet/DID key material. Never paste private keys into
@@ -369,13 +1562,76 @@ function EncryptPanel({ onStatus }) {
             </div>
           </div>
 
+          <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-3">
+            <label className="inline-flex items-center gap-2 text-sm font-medium select-none">
+              <input
+                type="checkbox"
+                checked={sender.enabled}
+                onChange={(e) => setSender((prev) => ({ ...prev, enabled: e.target.checked }))}
+                className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
+              />
+              Sign envelope as sender (secp256k1 ECDSA)
+            </label>
+            {sender.enabled ? (
+              <div className="grid gap-3">
+                <Field label="Sender key" hint="None: a demo key is generated">
+                  <KeySource
+                    keyring={keyring}
+                    keyId={sender.keyId}
+                    privHex={sender.privHex}
+                    onChange={({ keyId, privHex }, k) =>
+                      setSender((prev) => ({ ...prev, keyId, privHex, ...(k ? { kid: k.rid } : {}) }))
+                    }
+                  />
+                </Field>
+                <Field label="Sender key id (kid)" hint="Empty: did:key of the sender pubkey">
+                  <Input
+                    value={sender.kid}
+                    onChange={(e) => setSender((prev) => ({ ...prev, kid: e.target.value }))}
+                    placeholder="did:key:z… / did:pkh:eip155:1:0x…"
+                  />
+                </Field>
+              </div>
+            ) : null}
+          </div>
+
+          <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm font-medium">Validity window (optional)</div>
+              <Button variant="ghost" onClick={() => setLifetime({ notBefore: "", expiresAt: "" })}>
+                Clear
+              </Button>
+            </div>
+            <div className="grid gap-3 md:grid-cols-2">
+              <Field label="Not before">
+                <Input
+                  type="datetime-local"
+                  value={lifetime.notBefore}
+                  onChange={(e) => setLifetime((prev) => ({ ...prev, notBefore: e.target.value }))}
+                />
+              </Field>
+              <Field label="Expires at">
+                <Input
+                  type="datetime-local"
+                  value={lifetime.expiresAt}
+                  onChange={(e) => setLifetime((prev) => ({ ...prev, expiresAt: e.target.value }))}
+                />
+              </Field>
+            </div>
+            <div className="text-xs text-zinc-500">
+              Bound into the AAD as nbf / exp, so it cannot be edited silently.
+            </div>
+          </div>
+
           <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4">
             <div className="text-sm font-medium">Decrypt sanity check</div>
             <div className="mt-3">
-              {decryptCheck ? (
+              {health ? (
+                <HealthTable health={health} />
+              ) : decryptCheck ? (
                 <CodeBlock value={decryptCheck} />
               ) : (
-                <div className="text-sm text-zinc-500">Run the flow to verify local decrypt.</div>
+                <div className="text-sm text-zinc-500">Run the flow to verify local decrypt for every recipient.</div>
               )}
             </div>
           </div>
@@ -391,8 +1647,11 @@ function EncryptPanel({ onStatus }) {
                   value={JSON.stringify(
                     {
                       nonceB64url: rawOut.nonceB64url,
-                      ciphertextB64url: rawOut.ciphertextB64url,
+                      ciphertextB64url: rawOut.ciphertext
+                        ? `<${formatBytes(rawOut.ciphertext.size)} chunked — download ${CIPHERTEXT_FILENAME}>`
+                        : rawOut.ciphertextB64url,
                       ciphertextHash: rawOut.ciphertextHash,
+                      ...(rawOut.chunking ? { chunking: rawOut.chunking } : {}),
                       ...(rawOut.aadHash ? { aadHash: rawOut.aadHash } : {}),
                     },
                     null,
@@ -417,7 +1676,19 @@ function EncryptPanel({ onStatus }) {
           </div>
 
           <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4">
-            <div className="text-sm font-medium">Envelope</div>
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm font-medium">Envelope</div>
+              {health && !health.healthy ? (
+                <span className="rounded-full bg-rose-500/10 px-2 py-0.5 text-xs text-rose-300 ring-1 ring-rose-500/20">
+                  unhealthy
+                </span>
+              ) : null}
+            </div>
+            {fingerprint ? (
+              <div className="mt-2 text-xs text-zinc-500">
+                fingerprint <Fingerprint value={fingerprint} />
+              </div>
+            ) : null}
             <div className="mt-3">
               {envelope ? (
                 <CodeBlock value={JSON.stringify(envelope, null, 2)} />
@@ -432,102 +1703,149 @@ function EncryptPanel({ onStatus }) {
   );
 }
 
-function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
-  const [out, setOut] = useState({ ok: false, plaintext: "", info: "", error: "" });
-  const [aadOverride, setAadOverride] = useState("app:pxp201-ui|v0.1");
+function DecryptPanel({
+  bundleInput,
+  setBundleInput,
+  aadText,
+  setAadText,
+  validityPolicy,
+  storage,
+  setStorage,
+  keyring,
+  onStatus,
+}) {
+  const [out, setOut] = useState({ ok: false, plaintext: "", file: null, info: "", error: "" });
 
   // ✅ Auto-decrypt toggle state (OFF by default so the button is meaningful)
   const [autoDecrypt, setAutoDecrypt] = useState(false);
 
+  // ciphertext shipped next to the bundle (chunked payloads)
+  const [ctFile, setCtFile] = useState(null);
+
   // ✅ recipient selector
   const [selectedRid, setSelectedRid] = useState("");
 
-  // ✅ run execution ref
-  const runIdRef = useRef(0);
-
-  const run = async () => {
-    const runId = ++runIdRef.current;
-
-    onStatus?.({ sdk: "running" });
-    setOut({ ok: false, plaintext: "", info: "", error: "" });
-
+  // private keys for a public bundle
+  const [keyFiles, setKeyFiles] = useState([]);
+
+  // trial-decrypt: the recipient holds a key but doesn't know (or the bundle doesn't say) its rid
+  const [trialMode, setTrialMode] = useState(false);
+  const [candidateText, setCandidateText] = useState("");
+  const [match, setMatch] = useState(null);
+  const [signature, setSignature] = useState(undefined);
+  const [fingerprint, setFingerprint] = useState("");
+  const [validity, setValidity] = useState(null);
+  const [shares, setShares] = useState(null);
+  const [hashes, setHashes] = useState(null);
+  // unlocks the envelope's passphrase entries (pw1) instead of a recipient key
+  const [passphrase, setPassphrase] = useState("");
+
+  // ✅ worker job (its run id guards against stale results, across all tabs)
+  const job = useCryptoJob();
+
+  // what the Bundle JSON holds (lib/importer.js): anything but a bundle gets a Convert button
+  const [importError, setImportError] = useState("");
+  const detected = useMemo(() => {
     try {
-      const bundle = JSON.parse(bundleInput || "{}");
-      const { raw, envelope } = bundle;
-
-      const aadText =
-        typeof bundle.aadText === "string" && bundle.aadText.length > 0 ? bundle.aadText : aadOverride || "";
-
-      if (!raw?.ciphertextB64url || !raw?.nonceB64url) throw new Error("bundle.raw missing ciphertextB64url/nonceB64url");
-      if (!envelope) throw new Error("bundle.envelope missing");
-
-      validateEnvelope(envelope);
-
-      // ✅ resolver: supports multi-recipient demo bundle AND legacy vector/import bundle
-      const recips = envelope?.access?.recipients || [];
-      if (!Array.isArray(recips) || recips.length === 0) throw new Error("envelope.access.recipients missing/empty");
+      return (bundleInput || "").trim() ? importInput(bundleInput) : null;
+    } catch {
+      return null;
+    }
+  }, [bundleInput]);
 
-      // pick rid
-      const ridToUse = selectedRid || recips[0]?.rid;
-      if (!ridToUse) throw new Error("No recipient rid available");
+  // inline schema errors for the Bundle JSON editor (advisory: Decrypt still runs on its own checks)
+  const bundleRef = useRef(null);
+  const bundleCheck = useMemo(
+    () =>
+      detected?.bundle && detected.kind !== "bundle" && detected.kind !== "legacy-bundle"
+        ? { schema: null, errors: [] }
+        : checkJsonText(bundleInput || "", { ids: ["bundle", "legacy-bundle"] }),
+    [bundleInput, detected]
+  );
 
-      const entry = recips.find((x) => x.rid === ridToUse) || recips[0];
-      if (!entry?.wrappedKey) throw new Error("No wrappedKey for selected recipient");
+  // keyring keys picked as key files carry a keyId: revealed here, at run time
+  const revealKeyFiles = () =>
+    Promise.all(
+      keyFiles.map(async (k) =>
+        k.keyId ? { ...k, recipientPrivHex: await sourcePrivHex(keyring, { keyId: k.keyId }) } : k
+      )
+    );
+
+  // pasted keys + key files + the whole keyring (when unlocked)
+  const collectCandidates = async (heldKeys) => [
+    ...parseCandidateList(candidateText),
+    ...heldKeys.map((k) => ({ label: `key file ${k.rid}`, privHex: k.recipientPrivHex })),
+    ...(keyring?.unlocked
+      ? await Promise.all(
+          keyring.entries.map(async (k) => ({
+            label: `keyring ${k.label || k.rid}`,
+            privHex: await keyring.reveal(k.id),
+          }))
+        )
+      : []),
+  ];
 
-      // ✅ Resolve privkey from either:
-      // A) multi-recipient demo bundle: recipientPrivHexByRid[rid]
-      // B) legacy vector/import bundle: recipient.recipientPrivHex
-      const privMap = bundle?.recipientPrivHexByRid;
-      const privHex =
-        (privMap && typeof privMap === "object" && entry?.rid ? privMap[entry.rid] : "") ||
-        bundle?.recipient?.recipientPrivHex ||
-        "";
+  const run = async ({ withPassphrase = false } = {}) => {
+    onStatus?.({ sdk: "running" });
+    setOut({ ok: false, plaintext: "", file: null, info: "", error: "" });
+    setMatch(null);
+    setSignature(undefined);
+    setFingerprint("");
+    setValidity(null);
+    setShares(null);
+    setHashes(null);
 
-      if (!privHex) {
-        throw new Error(
-          "No recipient privkey in bundle (expected recipientPrivHexByRid[rid] or recipient.recipientPrivHex). " +
-            "If you imported a vector, export it with 'include demo privkey' enabled."
-        );
+    try {
+      const imported = importInput(bundleInput);
+      if (!imported.bundle) throw new Error(`${describeImport(imported)}. Decrypt needs a bundle`);
+      const heldKeys = await revealKeyFiles();
+      const bundle = attachKeyFiles(imported.bundle, heldKeys);
+      const candidates = trialMode && !withPassphrase ? await collectCandidates(heldKeys) : undefined;
+      if (candidates?.length === 0) {
+        throw new Error("Trial-decrypt needs candidate keys: paste some, load key files or unlock the keyring");
       }
 
-      // unwrap + decrypt
-      const dek = await unwrapDEK_secp256k1({
-        wrappedKey: entry.wrappedKey,
-        recipientPrivKeyHex: privHex,
-        aadText: aadText || undefined,
-      });
+      // no embedded ciphertext and no file: fetch it by envelope.uri from the selected backend
+      let ciphertext = ctFile;
+      const adapter = createStorage(storage);
+      if (!bundle?.raw?.ciphertextB64url && adapter && (!ciphertext || adapter.id === "download")) {
+        ciphertext = await adapter.get(uriToCid(bundle?.envelope?.uri), { file: ctFile });
+      }
 
-      const plaintext = await decryptTextFromEnvelope({
-        envelope,
-        dek,
-        ciphertextB64url: raw.ciphertextB64url,
-        nonceB64url: raw.nonceB64url,
-        aadText: aadText || undefined,
+      const res = await job.run("decrypt", {
+        bundle,
+        aadOverride: aadText,
+        selectedRid,
+        ctFile: ciphertext,
+        candidates,
+        passphrase: withPassphrase ? passphrase : undefined,
+        ...validityParams(validityPolicy),
       });
 
-      if (runId !== runIdRef.current) return;
-
+      if (res.info.trial) setMatch({ rid: res.info.rid, ...res.info.trial });
+      setHashes(res.info.hashes);
+      setSignature(res.signature);
+      setFingerprint(res.info.fingerprint);
+      setValidity(res.validity);
+      setShares(res.info.threshold || null);
       setOut({
         ok: true,
-        plaintext,
-        info: JSON.stringify(
-          {
-            ciphertextHash: envelope.ciphertextHash,
-            aadHash: envelope.aadHash,
-            rid: entry.rid,
-            createdAt: envelope.createdAt,
-          },
-          null,
-          2
-        ),
+        plaintext: res.plaintext,
+        file: res.file,
+        info: JSON.stringify(res.info, null, 2),
         error: "",
       });
 
       onStatus?.({ sdk: "ok" });
     } catch (e) {
+      if (isCancelled(e)) {
+        onStatus?.({ sdk: "cancelled" });
+        return;
+      }
       console.error(e);
-      if (runId !== runIdRef.current) return;
-      setOut({ ok: false, plaintext: "", info: "", error: String(e?.message || e) });
+      // a mismatch still shows the recomputed vs claimed hashes
+      if (e?.hashes) setHashes(e.hashes);
+      setOut({ ok: false, plaintext: "", file: null, info: "", error: String(e?.message || e) });
       onStatus?.({ sdk: "error" });
     }
   };
@@ -537,7 +1855,7 @@ function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
     try {
       const b = JSON.parse(bundleInput || "{}");
       if (typeof b?.aadText === "string" && b.aadText.length > 0) {
-        setAadOverride(b.aadText);
+        setAadText(b.aadText);
       }
 
       // auto-sync selectedRid (optional)
@@ -569,7 +1887,7 @@ function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
           b?.raw?.nonceB64url &&
           b?.envelope &&
           hasAnyRecipient &&
-          (hasPrivMap || hasLegacyPriv)
+          (hasPrivMap || hasLegacyPriv || keyFiles.length > 0)
         ) {
           run();
         }
@@ -578,7 +1896,77 @@ function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
 
     return () => clearTimeout(t);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [bundleInput, autoDecrypt, selectedRid]);
+  }, [bundleInput, autoDecrypt, selectedRid, keyFiles]);
+
+  // THRESHOLD envelope in the pasted bundle: k of its n recipients must hold keys
+  const thresholdAccess = (() => {
+    try {
+      const access = JSON.parse(bundleInput || "{}")?.envelope?.access;
+      return access?.mode === "THRESHOLD" ? access : null;
+    } catch {
+      return null;
+    }
+  })();
+
+  // passphrase entries in the pasted bundle: they get a passphrase prompt
+  const passphraseRids = (() => {
+    try {
+      const recips = JSON.parse(bundleInput || "{}")?.envelope?.access?.recipients || [];
+      return recips.filter(isPassphraseEntry).map((r) => r.rid);
+    } catch {
+      return [];
+    }
+  })();
+
+  const loadKeyFiles = (next) => {
+    setKeyFiles(next);
+    // switch to the recipient we just got a key for (when it is on the envelope)
+    try {
+      const recips = JSON.parse(bundleInput || "{}")?.envelope?.access?.recipients || [];
+      const added = next.find((k) => !keyFiles.includes(k) && recips.some((r) => r.rid === k.rid));
+      if (added) setSelectedRid(added.rid);
+    } catch {
+      // bundle not parsed yet: keep the current selection
+    }
+  };
+
+  // import pipeline: vectors, legacy bundles and bare envelopes become a bundle, key files join the loaded ones
+  const importText = async (text) => {
+    setImportError("");
+    const imp = importInput(text);
+    if (imp.kind === "keyfile") {
+      const k = await parseKeyFile(text);
+      loadKeyFiles([...keyFiles.filter((x) => x.rid !== k.rid), k]);
+      if (text === bundleInput) setBundleInput("");
+      return;
+    }
+    if (!imp.bundle) throw new Error(`${describeImport(imp)}. Unwrap it in the WK1 tab`);
+    setBundleInput(JSON.stringify(imp.bundle, null, 2));
+  };
+  const convertInput = () => importText(bundleInput).catch((e) => setImportError(String(e?.message || e)));
+  // a keyring key file counts as held here: its privkey is only revealed when Decrypt runs
+  const heldKey = (k) => (k.keyId ? { ...k, recipientPrivHex: `keyring:${k.keyId}` } : k);
+  const detectedText = detected
+    ? describeImport({
+        ...detected,
+        missing: detected.bundle
+          ? missingForDecrypt(attachKeyFiles(detected.bundle, keyFiles.map(heldKey)), { hasCiphertext: !!ctFile })
+          : detected.missing,
+      })
+    : "";
+
+  // a keyring key acts as a key file: for its own rid when on the envelope, else for the selected rid.
+  // It holds the keyring id only: the privkey is revealed when Decrypt runs
+  const pickKeyringKey = (k) => {
+    let rid = k.rid;
+    try {
+      const recips = JSON.parse(bundleInput || "{}")?.envelope?.access?.recipients || [];
+      if (!recips.some((r) => r.rid === rid)) rid = selectedRid || recips[0]?.rid || rid;
+    } catch {
+      // keep the key's own rid
+    }
+    loadKeyFiles([...keyFiles.filter((x) => x.rid !== rid), { rid, recipientPubHex: k.pubHex, keyId: k.id }]);
+  };
 
   return (
     <div className="space-y-6">
@@ -586,12 +1974,10 @@ function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
         <Pill>Paste bundle JSON</Pill>
         <Pill>validateEnvelope</Pill>
         <Pill>wk1 unwrap</Pill>
-        <Pill>AES-GCM decrypt</Pill>
+        <Pill>{CIPHERS.map((c) => c.label).join(" / ")} decrypt</Pill>
       </div>
 
-      <Field label="AAD (optional)" hint="Must match Encrypt AAD to decrypt">
-        <Input value={aadOverride} onChange={(e) => setAadOverride(e.target.value)} />
-      </Field>
+      <AadEditor value={aadText} onChange={setAadText} hint="Must match Encrypt AAD to decrypt" />
 
       {/* ✅ auto-decrypt toggle */}
       <label className="inline-flex items-center gap-2 text-xs text-zinc-400 select-none">
@@ -604,11 +1990,39 @@ function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
         auto-decrypt
       </label>
 
+      <label className="ml-4 inline-flex items-center gap-2 text-xs text-zinc-400 select-none">
+        <input
+          type="checkbox"
+          checked={trialMode}
+          onChange={(e) => setTrialMode(e.target.checked)}
+          className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
+        />
+        trial-decrypt (try every loaded key on every recipient)
+      </label>
+
+      {trialMode ? (
+        <Field
+          label="Candidate private keys"
+          hint={`+ ${keyFiles.length} key file(s) + ${keyring?.unlocked ? keyring.entries.length : 0} keyring key(s)`}
+        >
+          <Textarea
+            value={candidateText}
+            onChange={(e) => setCandidateText(e.target.value)}
+            placeholder={"# one per line, optionally labelled\n0x…\nalice: 0x…"}
+            className="min-h-[100px]"
+          />
+        </Field>
+      ) : null}
+
       {/* ✅ Recipient dropdown (above Bundle JSON) */}
-      <Field label="Recipient (rid)" hint="Select which recipient key to use">
+      <Field
+        label="Recipient (rid)"
+        hint={trialMode ? "Ignored in trial-decrypt: every rid is tried" : "Select which recipient key to use"}
+      >
         <select
           value={selectedRid}
           onChange={(e) => setSelectedRid(e.target.value)}
+          disabled={trialMode}
           className="w-full rounded-xl bg-zinc-900/50 px-3 py-2.5 text-sm text-zinc-100 ring-1 ring-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-400/40"
         >
           <option value="">Auto (first recipient)</option>
@@ -628,39 +2042,161 @@ function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
         </select>
       </Field>
 
-      <Field label="Bundle JSON" hint="Use 'Download bundle JSON' from Encrypt tab (demo includes recipientPrivHexByRid)">
-        <Textarea
-          value={bundleInput}
-          onChange={(e) => setBundleInput(e.target.value)}
-          placeholder='{"raw": {...}, "envelope": {...}, "recipientPrivHexByRid": {...}}'
-          className="min-h-[220px]"
-        />
+      <Field label="Fetch ciphertext by uri" hint="Used when the bundle has no raw.ciphertextB64url">
+        <StorageSettings storage={storage} setStorage={setStorage} />
+      </Field>
+
+      <Field label="Ciphertext file (optional)" hint="Needed when the bundle has raw.ciphertextFile (chunked)">
+        <FileDrop file={ctFile} onFile={setCtFile} hint={`Drop ${CIPHERTEXT_FILENAME} here or click to pick`} />
+      </Field>
+
+      <Field label="Recipient key files" hint="For public bundles: recipient private keys ship separately">
+        <div className="space-y-2">
+          <KeyPicker keyring={keyring} onPick={pickKeyringKey} />
+          <KeyFiles keyFiles={keyFiles} onChange={loadKeyFiles} />
+        </div>
+      </Field>
+
+      <Field label="Bundle JSON" hint="Public bundle + key file, or the demo bundle (includes recipientPrivHexByRid)">
+        <div className="space-y-2">
+          <ImportBar onText={importText} />
+          <Textarea
+            ref={bundleRef}
+            value={bundleInput}
+            onChange={(e) => {
+              setBundleInput(e.target.value);
+              setImportError("");
+            }}
+            placeholder='{"raw": {...}, "envelope": {...}, "recipientPrivHexByRid": {...}}'
+            className="min-h-[220px]"
+          />
+        </div>
+        {detected ? (
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-zinc-400">
+            <span className="break-all">{detectedText}</span>
+            {detected.kind !== "bundle" && detected.kind !== "wk1" ? (
+              <button type="button" onClick={convertInput} className="text-emerald-300 hover:text-emerald-200">
+                {detected.kind === "keyfile" ? "Load as key file" : "Convert to bundle"}
+              </button>
+            ) : null}
+          </div>
+        ) : null}
+        {importError ? <div className="mt-2 text-xs text-rose-300 break-all">{importError}</div> : null}
+        <JsonErrors check={bundleCheck} textareaRef={bundleRef} />
       </Field>
 
+      {passphraseRids.length ? (
+        <Field label="Passphrase" hint={`Unlocks ${passphraseRids.join(", ")}`}>
+          <div className="flex gap-2">
+            <Input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && passphrase && run({ withPassphrase: true })}
+              placeholder="Passphrase shared by the sender"
+            />
+            <Button onClick={() => run({ withPassphrase: true })} disabled={job.running || !passphrase}>
+              Unlock
+            </Button>
+          </div>
+        </Field>
+      ) : null}
+
       <div className="flex flex-wrap gap-2">
-        <Button onClick={run}>Decrypt from bundle</Button>
+        <Button onClick={() => run()} disabled={job.running}>
+          Decrypt from bundle
+        </Button>
         <Button
           variant="ghost"
           onClick={() => {
-            runIdRef.current += 1;
+            job.reset();
             setBundleInput("");
-            setOut({ ok: false, plaintext: "", info: "", error: "" });
+            setOut({ ok: false, plaintext: "", file: null, info: "", error: "" });
             setSelectedRid("");
+            setCtFile(null);
+            setKeyFiles([]);
+            setImportError("");
+            setMatch(null);
+            setSignature(undefined);
+            setShares(null);
+            setHashes(null);
+            setPassphrase("");
           }}
         >
           Clear
         </Button>
       </div>
 
+      <JobBar job={job} />
+
+      {shares ? (
+        <div className="rounded-2xl bg-emerald-400/10 ring-1 ring-emerald-400/20 p-4 text-sm text-emerald-200">
+          🧩 Combined {shares.k} of {shares.n} shares:{" "}
+          <span className="font-medium break-all">{shares.shares.map((s) => s.rid).join(", ")}</span>
+        </div>
+      ) : thresholdAccess ? (
+        <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 text-sm text-zinc-400">
+          🧩 Threshold envelope: keys of {thresholdAccess.k} of its {thresholdAccess.n} recipients are needed (bundle
+          key map, key files, or trial-decrypt candidates).
+        </div>
+      ) : null}
+
+      {match ? (
+        <div className="rounded-2xl bg-emerald-400/10 ring-1 ring-emerald-400/20 p-4 text-sm text-emerald-200">
+          🔑 Matched <span className="font-medium break-all">{match.rid}</span> with {match.key} ({match.attempts}{" "}
+          attempt(s), {match.candidates} candidate key(s))
+        </div>
+      ) : null}
+
+      {signature !== undefined ? (
+        <div className="space-y-2 rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 text-sm">
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-zinc-400">Signature valid / signer</span>
+            <SignatureStatus signature={signature} />
+          </div>
+          <div className="flex items-center justify-between gap-3">
+            <span className="shrink-0 text-zinc-400">Envelope fingerprint</span>
+            <Fingerprint value={fingerprint} />
+          </div>
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-zinc-400">Validity window</span>
+            <ValidityStatus validity={validity} />
+          </div>
+        </div>
+      ) : null}
+
+      {hashes ? (
+        <div className="space-y-2 rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4">
+          <div className="text-sm font-medium">Hashes (recomputed vs claimed)</div>
+          <HashChecks hashes={hashes} />
+        </div>
+      ) : null}
+
+      {validity && validity.status !== "valid" ? (
+        <div className="rounded-2xl bg-amber-400/10 ring-1 ring-amber-400/20 p-4 text-sm text-amber-200">
+          ⚠️ {validity.detail}. Decrypted anyway: strict validity is off.
+        </div>
+      ) : null}
+
       <div className="grid gap-4 md:grid-cols-2">
         <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4">
           <div className="text-sm font-medium">Plaintext</div>
-          <div className="mt-3">
-            {out.ok ? (
+          <div className="mt-3 space-y-3">
+            {out.file ? (
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="text-xs text-zinc-400">
+                  {out.file.name} • {out.file.mime} • {formatBytes(out.file.blob.size)}
+                </div>
+                <Button variant="ghost" onClick={() => downloadBlob(out.file.name, out.file.blob)}>
+                  Download file
+                </Button>
+              </div>
+            ) : null}
+            {out.ok && (out.plaintext || !out.file) ? (
               <CodeBlock value={out.plaintext} />
-            ) : (
+            ) : !out.ok ? (
               <div className="text-sm text-zinc-500">No plaintext yet.</div>
-            )}
+            ) : null}
           </div>
         </div>
 
@@ -670,7 +2206,428 @@ function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
             {out.info ? <CodeBlock value={out.info} /> : <div className="text-sm text-zinc-500">No details yet.</div>}
           </div>
         </div>
-      </div>
+      </div>
+
+      {out.error ? (
+        <div className="rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/20 p-4">
+          <div className="text-sm font-medium text-rose-200">Error</div>
+          <div className="mt-2 text-sm text-rose-200/80">{out.error}</div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// --- Access tab panel ---
+function AccessPanel({ bundleInput, setBundleInput, aadText, setAadText, storage, setStorage, keyring, onStatus }) {
+  const [pickedRid, setPickedRid] = useState("");
+  // the authorized recipient's key: a keyring id (revealed at job time) or a pasted / bundled hex key
+  const [granterKey, setGranterKey] = useState({ keyId: "", privHex: "" });
+  const [newRid, setNewRid] = useState("");
+  const [newPubHex, setNewPubHex] = useState("");
+  const [newKem, setNewKem] = useState(DEFAULT_KEM);
+  const [didCheck, setDidCheck] = useState(null);
+
+  // revoke: rids to drop + pubkeys of everyone who stays (needed to re-wrap the new DEK)
+  const [revokeRids, setRevokeRids] = useState([]);
+  const [pubByRid, setPubByRid] = useState({});
+  const [ctFile, setCtFile] = useState(null);
+  // grant / revoke change what a sender signature covers: re-sign, or the signature is dropped
+  const [resign, setResign] = useState({ enabled: false, keyId: "", privHex: "", kid: "" });
+
+  const [out, setOut] = useState({ bundle: null, summary: "", ciphertext: null, stored: "", error: "" });
+
+  const job = useCryptoJob();
+  const resolver = useMemo(() => createDidResolver([didKeyResolver]), []);
+
+  const parsedBundle = useMemo(() => {
+    try {
+      return JSON.parse(bundleInput || "{}");
+    } catch {
+      return {};
+    }
+  }, [bundleInput]);
+  const recips = useMemo(() => parsedBundle?.envelope?.access?.recipients || [], [parsedBundle]);
+  // authorized recipient: the picked rid while the bundle still lists it, else the first one
+  const granterRid = recips.some((r) => r.rid === pickedRid) ? pickedRid : recips[0]?.rid || "";
+  const granterEntry = recips.find((r) => r.rid === granterRid);
+
+  // known pubkeys: the bundle's pub map, else derived from its priv map (demo bundles ship both)
+  const bundlePubs = useMemo(() => {
+    const pubs = {};
+    for (const r of recips) {
+      const pub = parsedBundle?.recipientPubHexByRid?.[r.rid];
+      const privHex = parsedBundle?.recipientPrivHexByRid?.[r.rid];
+      if (pub) pubs[r.rid] = pub;
+      else if (privHex && entryKem(r) === DEFAULT_KEM) pubs[r.rid] = u8ToHex(secp.getPublicKey(hexToU8(privHex), true));
+    }
+    return pubs;
+  }, [parsedBundle, recips]);
+
+  // ✅ Prefill AAD and known pubkeys from the bundle
+  useEffect(() => {
+    if (typeof parsedBundle?.aadText === "string" && parsedBundle.aadText.length > 0) {
+      setAadText(parsedBundle.aadText);
+    }
+    setPubByRid(bundlePubs);
+    setRevokeRids((prev) => prev.filter((rid) => recips.some((r) => r.rid === rid)));
+  }, [parsedBundle, recips, bundlePubs, setAadText]);
+
+  // ✅ Prefill the authorized recipient's privkey when the bundle ships it
+  useEffect(() => {
+    const priv = parsedBundle?.recipientPrivHexByRid?.[granterRid] || parsedBundle?.recipient?.recipientPrivHex || "";
+    if (priv) setGranterKey({ keyId: "", privHex: priv });
+  }, [parsedBundle, granterRid]);
+
+  const resolveNew = async () => {
+    if (newKem !== DEFAULT_KEM) return;
+    try {
+      const resolved = newRid ? await resolver.resolve(newRid) : null;
+      const pubHex = resolved?.pubHex || newPubHex;
+      if (resolved) setNewPubHex(pubHex);
+      setDidCheck(await checkRecipientDid({ rid: newRid, recipientPubHex: pubHex }, resolver));
+    } catch (e) {
+      setDidCheck({ status: "mismatch", detail: String(e?.message || e) });
+    }
+  };
+
+  const senderParam = async () => {
+    if (!resign.enabled) return undefined;
+    const privHex = await sourcePrivHex(keyring, resign);
+    if (!privHex) throw new Error("Sender key required to re-sign: pick a keyring key or paste one");
+    return { privHex, kid: resign.kid };
+  };
+
+  const toggleRevoke = (rid) =>
+    setRevokeRids((prev) => (prev.includes(rid) ? prev.filter((x) => x !== rid) : [...prev, rid]));
+
+  const fail = (e) => {
+    if (isCancelled(e)) {
+      onStatus?.({ sdk: "cancelled" });
+      return;
+    }
+    console.error(e);
+    setOut({ bundle: null, summary: "", ciphertext: null, stored: "", error: String(e?.message || e) });
+    onStatus?.({ sdk: "error" });
+  };
+
+  const runGrant = async () => {
+    onStatus?.({ sdk: "running" });
+    setOut({ bundle: null, summary: "", ciphertext: null, stored: "", error: "" });
+
+    try {
+      const bundle = JSON.parse(bundleInput || "{}");
+      // DIDs name secp256k1 keys: a P-256 / X25519 rid is a plain label
+      if (newKem === DEFAULT_KEM) {
+        const check = await checkRecipientDid({ rid: newRid, recipientPubHex: newPubHex }, resolver);
+        setDidCheck(check);
+        if (check.status === "mismatch") throw new Error(`Recipient ${newRid}: ${check.detail}`);
+      }
+
+      const res = await job.run("grant", {
+        bundle,
+        aadOverride: aadText,
+        granterRid,
+        granterPrivHex: await sourcePrivHex(keyring, granterKey),
+        newRid,
+        newPubHex,
+        newKem,
+        sender: await senderParam(),
+      });
+
+      setOut({
+        bundle: res.bundle,
+        summary: JSON.stringify(res.summary, null, 2),
+        signatureDropped: Boolean(res.summary.signatureDropped),
+        ciphertext: null,
+        stored: "",
+        error: "",
+      });
+      onStatus?.({ sdk: "ok" });
+    } catch (e) {
+      fail(e);
+    }
+  };
+
+  const runRevoke = async () => {
+    onStatus?.({ sdk: "running" });
+    setOut({ bundle: null, summary: "", ciphertext: null, stored: "", error: "" });
+
+    try {
+      const bundle = JSON.parse(bundleInput || "{}");
+
+      // old ciphertext: embedded, loaded file, or fetched by envelope.uri (same as Decrypt)
+      let ciphertext = ctFile;
+      const adapter = createStorage(storage);
+      if (!bundle?.raw?.ciphertextB64url && adapter && (!ciphertext || adapter.id === "download")) {
+        ciphertext = await adapter.get(uriToCid(bundle?.envelope?.uri), { file: ctFile });
+      }
+
+      const res = await job.run("revoke", {
+        bundle,
+        aadOverride: aadText,
+        revokerRid: granterRid,
+        revokerPrivHex: await sourcePrivHex(keyring, granterKey),
+        removeRids: revokeRids,
+        recipientPubHexByRid: pubByRid,
+        ctFile: ciphertext,
+        sender: await senderParam(),
+      });
+
+      // republish: the rotated ciphertext lives under a new content id
+      let stored = "";
+      if (adapter) {
+        await adapter.put(res.ciphertext, res.cid);
+        stored = `Stored ${formatBytes(res.ciphertext.size)} via ${storage.backend} → ${res.envelope.uri}`;
+      }
+
+      setOut({
+        bundle: res.bundle,
+        summary: JSON.stringify(res.summary, null, 2),
+        signatureDropped: Boolean(res.summary.signatureDropped),
+        ciphertext: res.bundle.raw.ciphertextFile ? res.ciphertext : null,
+        stored,
+        error: "",
+      });
+      setRevokeRids([]);
+      onStatus?.({ sdk: "ok" });
+    } catch (e) {
+      fail(e);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <Pill>grant: re-wrap DEK</Pill>
+        <Pill>revoke: rotate DEK + re-encrypt</Pill>
+      </div>
+
+      <Field label="Bundle JSON" hint="Shared with the Decrypt tab">
+        <Textarea
+          value={bundleInput}
+          onChange={(e) => setBundleInput(e.target.value)}
+          placeholder='{"raw": {...}, "envelope": {...}, "recipientPrivHexByRid": {...}}'
+          className="min-h-[160px]"
+        />
+      </Field>
+
+      <AadEditor value={aadText} onChange={setAadText} hint="Must match the AAD used at wrap time" />
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <Field label="Authorized recipient (rid)" hint="An existing recipient who can unwrap the DEK">
+          <select
+            value={granterRid}
+            onChange={(e) => setPickedRid(e.target.value)}
+            className="w-full rounded-xl bg-zinc-900/50 px-3 py-2.5 text-sm text-zinc-100 ring-1 ring-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-400/40"
+          >
+            {recips.length === 0 ? <option value="">No recipients in bundle</option> : null}
+            {recips.map((r, idx) => (
+              <option key={idx} value={r.rid}>
+                {r.rid}
+              </option>
+            ))}
+          </select>
+        </Field>
+
+        <Field label="Authorized recipient key">
+          <KeySource
+            keyring={!granterEntry || entryKem(granterEntry) === DEFAULT_KEM ? keyring : null}
+            keyId={granterKey.keyId}
+            privHex={granterKey.privHex}
+            onChange={(next, k) => {
+              setGranterKey(next);
+              // a keyring key for a listed rid makes that rid the authorized recipient
+              if (k && recips.some((r) => r.rid === k.rid)) setPickedRid(k.rid);
+            }}
+          />
+        </Field>
+      </div>
+
+      <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-3">
+        <label className="inline-flex items-center gap-2 text-sm font-medium select-none">
+          <input
+            type="checkbox"
+            checked={resign.enabled}
+            onChange={(e) => setResign((prev) => ({ ...prev, enabled: e.target.checked }))}
+            className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
+          />
+          Re-sign the updated envelope as sender (secp256k1 ECDSA)
+        </label>
+        {parsedBundle?.envelope?.sig && !resign.enabled ? (
+          <div className="text-xs text-amber-300">
+            This envelope is signed: grant and revoke change what the signature covers, so it is dropped unless you
+            re-sign.
+          </div>
+        ) : null}
+        {resign.enabled ? (
+          <div className="grid gap-3 md:grid-cols-2">
+            <Field label="Sender key">
+              <KeySource
+                keyring={keyring}
+                keyId={resign.keyId}
+                privHex={resign.privHex}
+                onChange={({ keyId, privHex }, k) =>
+                  setResign((prev) => ({ ...prev, keyId, privHex, ...(k ? { kid: k.rid } : {}) }))
+                }
+              />
+            </Field>
+            <Field label="Sender key id (kid)" hint="Empty: did:key of the sender pubkey">
+              <Input
+                value={resign.kid}
+                onChange={(e) => setResign((prev) => ({ ...prev, kid: e.target.value }))}
+                placeholder="did:key:z… / did:pkh:eip155:1:0x…"
+              />
+            </Field>
+          </div>
+        ) : null}
+      </div>
+
+      <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-4">
+        <div>
+          <div className="text-sm font-medium">Grant access</div>
+          <div className="mt-1 text-xs text-zinc-500">
+            Same DEK, same ciphertext: ciphertextHash and uri do not change.
+          </div>
+        </div>
+
+        <Field label="New recipient rid" hint={<DidBadge check={didCheck} />}>
+          <Input
+            value={newRid}
+            onChange={(e) => {
+              setNewRid(e.target.value);
+              setDidCheck(null);
+            }}
+            onBlur={resolveNew}
+            placeholder="did:key:z… or did:pkh:eip155:1:0x…"
+          />
+        </Field>
+
+        <Field label="New recipient KEM">
+          <KemSelect
+            value={newKem}
+            onChange={(kem) => {
+              setNewKem(kem);
+              setDidCheck(null);
+            }}
+            className="w-full"
+          />
+        </Field>
+
+        <Field
+          label="New recipient pubkey (hex)"
+          hint={newKem === DEFAULT_KEM ? "Filled automatically for did:key rids" : getKem(newKem).pubHint}
+        >
+          <Input
+            value={newPubHex}
+            onChange={(e) => {
+              setNewPubHex(e.target.value);
+              setDidCheck(null);
+            }}
+            placeholder="0x02..."
+          />
+        </Field>
+
+        <div className="flex flex-wrap gap-2">
+          <Button onClick={runGrant} disabled={job.running || !granterRid || !newRid || !newPubHex}>
+            Grant access
+          </Button>
+          <Button variant="ghost" onClick={resolveNew} disabled={!newRid || newKem !== DEFAULT_KEM}>
+            Resolve
+          </Button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-4">
+        <div>
+          <div className="text-sm font-medium">Revoke</div>
+          <div className="mt-1 text-xs text-zinc-500">
+            Removed recipients may already hold the old DEK, so revoking re-encrypts the payload under a fresh DEK
+            and re-wraps it for the remaining recipients. Republish the new envelope and ciphertext.
+          </div>
+        </div>
+
+        {recips.length === 0 ? (
+          <div className="text-sm text-zinc-500">No recipients in bundle.</div>
+        ) : (
+          <div className="space-y-2">
+            {recips.map((r) => {
+              const revoked = revokeRids.includes(r.rid);
+              return (
+                <div key={r.rid} className="grid gap-2 md:grid-cols-2 items-center">
+                  <label className="inline-flex items-center gap-2 text-xs text-zinc-300 select-none break-all">
+                    <input
+                      type="checkbox"
+                      checked={revoked}
+                      onChange={() => toggleRevoke(r.rid)}
+                      className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
+                    />
+                    <span className={revoked ? "line-through text-rose-300" : ""}>{r.rid}</span>
+                  </label>
+                  <Input
+                    value={pubByRid[r.rid] || ""}
+                    onChange={(e) => setPubByRid((prev) => ({ ...prev, [r.rid]: e.target.value }))}
+                    disabled={revoked}
+                    placeholder="pubkey (hex) to re-wrap for"
+                  />
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <Field label="Fetch ciphertext by uri" hint="Also where the re-encrypted ciphertext is stored">
+          <StorageSettings storage={storage} setStorage={setStorage} />
+        </Field>
+
+        <Field label="Ciphertext file (optional)" hint="Needed when the bundle has raw.ciphertextFile (chunked)">
+          <FileDrop file={ctFile} onFile={setCtFile} hint={`Drop ${CIPHERTEXT_FILENAME} here or click to pick`} />
+        </Field>
+
+        <Button onClick={runRevoke} disabled={job.running || !granterRid || revokeRids.length === 0}>
+          Revoke + rotate DEK
+        </Button>
+      </div>
+
+      <JobBar job={job} />
+
+      {out.bundle ? (
+        <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="text-sm font-medium">Updated envelope</div>
+            <div className="flex flex-wrap gap-2">
+              <Button variant="ghost" onClick={() => setBundleInput(JSON.stringify(out.bundle, null, 2))}>
+                Use as Bundle JSON
+              </Button>
+              <Button
+                variant="ghost"
+                onClick={() => downloadText("pxp201-bundle.json", canonicalize(out.bundle))}
+              >
+                Download bundle JSON
+              </Button>
+              <Button
+                variant="ghost"
+                onClick={() => downloadText("pxp201-envelope.json", canonicalize(out.bundle.envelope))}
+              >
+                Download envelope JSON
+              </Button>
+              {out.ciphertext ? (
+                <Button variant="ghost" onClick={() => downloadBlob(out.bundle.raw.ciphertextFile, out.ciphertext)}>
+                  Download ciphertext (.bin)
+                </Button>
+              ) : null}
+            </div>
+          </div>
+          {out.stored ? <div className="text-xs text-emerald-300 break-all">{out.stored}</div> : null}
+          {out.signatureDropped ? (
+            <div className="text-xs text-amber-300">
+              The sender signature was removed: Decrypt will show this envelope as unsigned. Re-sign to keep one.
+            </div>
+          ) : null}
+          <CodeBlock value={out.summary} />
+          <CodeBlock value={JSON.stringify(out.bundle.envelope, null, 2)} />
+        </div>
+      ) : null}
 
       {out.error ? (
         <div className="rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/20 p-4">
@@ -683,10 +2640,11 @@ function DecryptPanel({ bundleInput, setBundleInput, onStatus }) {
 }
 
 // --- WK1 tab panel ---
-function WK1Panel({ bundleInput, onStatus }) {
+function WK1Panel({ bundleInput, aadText, setAadText, keyring, onStatus }) {
   const [wrappedKey, setWrappedKey] = useState("");
-  const [privHex, setPrivHex] = useState("");
-  const [aadText, setAadText] = useState("app:pxp201-ui|v0.1");
+  // recipient key: a keyring id, or a pasted / imported privkey (KeySource)
+  const [keySource, setKeySource] = useState({ keyId: "", privHex: "" });
+  const setPrivHex = (privHex) => setKeySource({ keyId: "", privHex });
   const [parsed, setParsed] = useState("");
   const [out, setOut] = useState({ dekHex: "", error: "" });
 
@@ -694,9 +2652,14 @@ function WK1Panel({ bundleInput, onStatus }) {
   const [dekHexIn, setDekHexIn] = useState("");
   const [pubHex, setPubHex] = useState("");
   const [kid, setKid] = useState("did:pkh:eip155:1:0xDEMO_RECIPIENT");
+  const [kem, setKem] = useState(DEFAULT_KEM);
 
   // ✅ multi-recipient: selected rid
   const [selectedRid, setSelectedRid] = useState("");
+  // what the last import detected and filled
+  const [imported, setImported] = useState("");
+
+  const job = useCryptoJob();
 
   // ✅ auto-sync selectedRid if empty (best effort)
   useEffect(() => {
@@ -710,53 +2673,70 @@ function WK1Panel({ bundleInput, onStatus }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [bundleInput]);
 
-  // ✅ Prefill supports multi-recipient bundle (and legacy fallback)
-  const fillFromBundle = () => {
-    try {
-      const bundle = JSON.parse(bundleInput || "{}");
-
-      if (typeof bundle?.aadText === "string") setAadText(bundle.aadText || "");
-
-      // NEW multi-recipient bundle path
-      const recips = bundle?.envelope?.access?.recipients || [];
-      const privMap = bundle?.recipientPrivHexByRid;
-
-      if (Array.isArray(recips) && recips.length > 0) {
-        const ridToUse = selectedRid || recips[0]?.rid;
-        const entry = recips.find((x) => x.rid === ridToUse) || recips[0];
+  // fill the form from an imported bundle (lib/importer.js: legacy bundles and vectors arrive as bundles)
+  // → the names of the fields it filled
+  const fillFrom = (bundle) => {
+    const filled = [];
+    const fill = (name, setter, value) => {
+      if (typeof value !== "string" || !value) return;
+      setter(value);
+      filled.push(name);
+    };
 
-        if (entry?.wrappedKey) setWrappedKey(entry.wrappedKey);
-        if (entry?.rid) setKid(entry.rid);
+    if (typeof bundle.aadText === "string") setAadText(bundle.aadText || "");
 
-        if (privMap && typeof privMap === "object" && entry?.rid && privMap[entry.rid]) {
-          setPrivHex(privMap[entry.rid]);
-        }
+    const recips = bundle.envelope?.access?.recipients || [];
+    const entry = recips.find((x) => x.rid === selectedRid) || recips[0];
+    if (entry) {
+      fill("wrappedKey", setWrappedKey, entry.wrappedKey);
+      fill("kid", setKid, entry.rid);
+      if (entry.wrappedKey) setKem(entryKem(entry));
+      fill("recipientPrivHex", setPrivHex, bundle.recipientPrivHexByRid?.[entry.rid]);
+      fill("recipientPubHex", setPubHex, bundle.recipientPubHexByRid?.[entry.rid]);
 
-        // optional: if you also ship pub map
-        const pubMap = bundle?.recipientPubHexByRid;
-        if (pubMap && typeof pubMap === "object" && entry?.rid && pubMap[entry.rid]) {
-          setPubHex(pubMap[entry.rid]);
-        }
+      // try parse immediately (best effort)
+      try {
+        if (entry.wrappedKey) setParsed(JSON.stringify(parseWk1(entry.wrappedKey), null, 2));
+      } catch {}
+    }
 
-        // try parse immediately (best effort)
-        try {
-          if (entry?.wrappedKey) setParsed(JSON.stringify(parseWk1(entry.wrappedKey), null, 2));
-        } catch {}
+    fill("DEK", setDekHexIn, bundle.raw?.dekHex || bundle.dekHex);
+    return filled;
+  };
 
-        return;
+  // import pipeline: a lone wk1 key, a key file, or anything that converts to a bundle
+  const applyImport = async (text) => {
+    const imp = importInput(text);
+    let filled = [];
+    if (imp.wrappedKey) {
+      setWrappedKey(imp.wrappedKey.wrappedKey);
+      setKem(imp.wrappedKey.kem);
+      setParsed(JSON.stringify(parseWk1(imp.wrappedKey.wrappedKey), null, 2));
+      filled = ["wrappedKey"];
+      if (imp.wrappedKey.kid) {
+        setKid(imp.wrappedKey.kid);
+        filled.push("kid");
       }
-
-      // legacy single-recipient bundle fallback
-      if (bundle?.wrappedKey) setWrappedKey(bundle.wrappedKey);
-      if (bundle?.recipient?.recipientPrivHex) setPrivHex(bundle.recipient.recipientPrivHex);
-      if (bundle?.recipient?.recipientPubHex) setPubHex(bundle.recipient.recipientPubHex);
-      if (bundle?.recipient?.rid) setKid(bundle.recipient.rid);
-
-      if (typeof bundle?.dekHex === "string" && bundle.dekHex) setDekHexIn(bundle.dekHex);
-      if (typeof bundle?.raw?.dekHex === "string" && bundle.raw.dekHex) setDekHexIn(bundle.raw.dekHex);
-    } catch {}
+    } else if (imp.kind === "keyfile") {
+      const k = await parseKeyFile(text);
+      setPrivHex(k.recipientPrivHex);
+      setPubHex(k.recipientPubHex);
+      setKem(k.kem);
+      setKid(k.rid);
+      filled = ["recipientPrivHex", "recipientPubHex", "kid"];
+    } else {
+      filled = fillFrom(imp.bundle);
+    }
+    setOut((p) => ({ ...p, error: "" }));
+    setImported(`Detected ${imp.label}: ${filled.length ? `filled ${filled.join(", ")}` : "nothing to fill"}`);
   };
 
+  const importText = (text) =>
+    applyImport(text).catch((e) => {
+      setImported("");
+      setOut({ dekHex: "", error: String(e?.message || e) });
+    });
+
   const doParse = () => {
     try {
       const obj = parseWk1(wrappedKey);
@@ -774,20 +2754,30 @@ function WK1Panel({ bundleInput, onStatus }) {
 
     try {
       if (!wrappedKey) throw new Error("wrappedKey required");
-      if (!privHex) throw new Error("recipientPrivHex required");
+      const privHex = await sourcePrivHex(keyring, keySource);
+      if (!privHex) throw new Error("Recipient key required: pick a keyring key or paste one");
 
       const obj = parseWk1(wrappedKey);
       setParsed(JSON.stringify(obj, null, 2));
 
-      const dek = await unwrapDEK_secp256k1({
-        wrappedKey,
-        recipientPrivKeyHex: privHex,
-        aadText: aadText || undefined,
-      });
+      // the loaded bundle lets the worker check the AAD against envelope.aadHash before unwrapping
+      let bundle = null;
+      try {
+        bundle = JSON.parse(bundleInput || "null");
+      } catch {
+        // no usable bundle: unwrap without it
+      }
+
+      const res = await job.run("unwrap", { wrappedKey, privHex, aadText, bundle });
 
-      setOut({ dekHex: u8ToHex(dek), error: "" });
+      setKem(res.kem);
+      setOut({ dekHex: res.dekHex, error: "" });
       onStatus?.({ sdk: "ok" });
     } catch (e) {
+      if (isCancelled(e)) {
+        onStatus?.({ sdk: "cancelled" });
+        return;
+      }
       console.error(e);
       setOut({ dekHex: "", error: String(e?.message || e) });
       onStatus?.({ sdk: "error" });
@@ -799,33 +2789,19 @@ function WK1Panel({ bundleInput, onStatus }) {
     setOut({ dekHex: "", error: "" });
 
     try {
-      if (!dekHexIn) throw new Error("dekHex required (0x.. 32 bytes)");
-      if (!pubHex) throw new Error("recipientPubHex required");
-      if (!kid) throw new Error("kid required");
-      if (!privHex) throw new Error("recipientPrivHex required for auto-sanity unwrap (optional)");
-
-      const dek = hexToU8(dekHexIn);
-      if (dek.length !== 32) throw new Error("DEK must be 32 bytes (64 hex chars)");
-
-      const wk = await wrapDEK_secp256k1({
-        dek,
-        recipientPubKeyHex: pubHex,
-        kid,
-        aadText: aadText || undefined,
-      });
-
-      setWrappedKey(wk);
-      setParsed(JSON.stringify(parseWk1(wk), null, 2));
+      const privHex = await sourcePrivHex(keyring, keySource);
+      const res = await job.run("wrap", { dekHexIn, pubHex, kid, privHex, aadText, kem });
 
-      const dek2 = await unwrapDEK_secp256k1({
-        wrappedKey: wk,
-        recipientPrivKeyHex: privHex,
-        aadText: aadText || undefined,
-      });
-      setOut({ dekHex: u8ToHex(dek2), error: "" });
+      setWrappedKey(res.wrappedKey);
+      setParsed(JSON.stringify(parseWk1(res.wrappedKey), null, 2));
+      setOut({ dekHex: res.dekHex, error: "" });
 
       onStatus?.({ sdk: "ok" });
     } catch (e) {
+      if (isCancelled(e)) {
+        onStatus?.({ sdk: "cancelled" });
+        return;
+      }
       console.error(e);
       setOut({ dekHex: "", error: String(e?.message || e) });
       onStatus?.({ sdk: "error" });
@@ -836,30 +2812,38 @@ function WK1Panel({ bundleInput, onStatus }) {
     <div className="space-y-6">
       <div className="flex flex-wrap items-center gap-2">
         <Pill>wk1 parse</Pill>
-        <Pill>secp256k1 wrap/unwrap</Pill>
+        <Pill>{KEMS.map((k) => k.label).join(" / ")} wrap/unwrap</Pill>
         <Pill>AAD-bound</Pill>
       </div>
 
       <div className="flex flex-wrap gap-2">
-        <Button variant="ghost" onClick={fillFromBundle} disabled={!bundleInput}>
+        <Button variant="ghost" onClick={() => importText(bundleInput)} disabled={!bundleInput}>
           Prefill from Bundle JSON
         </Button>
         <Button variant="ghost" onClick={doParse} disabled={!wrappedKey}>
           Parse wk1
         </Button>
-        <Button onClick={doWrap}>Wrap ← DEK</Button>
-        <Button onClick={doUnwrap}>Unwrap → DEK</Button>
+        <Button onClick={doWrap} disabled={job.running}>
+          Wrap ← DEK
+        </Button>
+        <Button onClick={doUnwrap} disabled={job.running}>
+          Unwrap → DEK
+        </Button>
       </div>
 
-      <Field label="AAD (optional)" hint="Must match the AAD used at wrap time">
-        <Input value={aadText} onChange={(e) => setAadText(e.target.value)} />
-      </Field>
+      <JobBar job={job} />
+
+      <AadEditor value={aadText} onChange={setAadText} hint="Must match the AAD used at wrap time" />
 
       <Field label="DEK hex (32 bytes)">
         <Input value={dekHexIn} onChange={(e) => setDekHexIn(e.target.value)} placeholder="0x..." />
       </Field>
 
-      <Field label="recipientPubHex">
+      <Field label="KEM" hint="Wrap uses it; unwrap follows the wrappedKey's alg">
+        <KemSelect value={kem} onChange={setKem} className="w-full" />
+      </Field>
+
+      <Field label="recipientPubHex" hint={getKem(kem).pubHint}>
         <Input value={pubHex} onChange={(e) => setPubHex(e.target.value)} placeholder="0x..." />
       </Field>
 
@@ -891,17 +2875,36 @@ function WK1Panel({ bundleInput, onStatus }) {
         </select>
       </Field>
 
-      <Field label="wrappedKey (wk1)">
-        <Textarea
-          value={wrappedKey}
-          onChange={(e) => setWrappedKey(e.target.value)}
-          className="min-h-[140px]"
-          placeholder="pxp201:wk1:..."
-        />
+      <Field label="wrappedKey (wk1)" hint="Paste a wk1 key, or a bundle / vector / key file to fill the form">
+        <div className="space-y-2">
+          <ImportBar onText={applyImport} />
+          <Textarea
+            value={wrappedKey}
+            onChange={(e) => setWrappedKey(e.target.value)}
+            onPaste={(e) => {
+              // JSON pasted here is a whole document, not a wrapped key: import it instead
+              const text = e.clipboardData?.getData("text/plain") || "";
+              if (!text.trim().startsWith("{")) return;
+              e.preventDefault();
+              importText(text);
+            }}
+            className="min-h-[140px]"
+            placeholder="pxp201:wk1:..."
+          />
+          {imported ? <div className="text-xs text-zinc-400 break-all">{imported}</div> : null}
+        </div>
       </Field>
 
-      <Field label="recipientPrivHex">
-        <Input value={privHex} onChange={(e) => setPrivHex(e.target.value)} placeholder="0x..." />
+      <Field label="Recipient key" hint="A keyring key also sets recipientPubHex">
+        <KeySource
+          keyring={keyring}
+          keyId={keySource.keyId}
+          privHex={keySource.privHex}
+          onChange={(next, k) => {
+            setKeySource(next);
+            if (k) setPubHex(k.pubHex);
+          }}
+        />
       </Field>
 
       <div className="grid gap-4 md:grid-cols-2">
@@ -931,10 +2934,14 @@ function WK1Panel({ bundleInput, onStatus }) {
 }
 
 // ✅ VectorsPanel (kept mono-recipient as requested)
-function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
+function VectorsPanel({ bundleInput, setBundleInput, setTab, validityPolicy, onStatus }) {
   const [res, setRes] = useState(null);
 
-  const [includePriv, setIncludePriv] = useState(false);
+  const [exportProfile, setExportProfile] = useState("public");
+  // self-test cipher; replayed bundles use their own envelope.cipher
+  const [cipher, setCipher] = useState(DEFAULT_CIPHER);
+  // self-test sender signature (optional, as in Encrypt)
+  const [sign, setSign] = useState(true);
 
   const [toast, setToast] = useState("");
   const flash = (msg) => {
@@ -945,6 +2952,8 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
   const [importJson, setImportJson] = useState("");
   const [autoRunAfterImport, setAutoRunAfterImport] = useState(true);
 
+  const job = useCryptoJob();
+
   const copyToClipboard = async (text) => {
     try {
       await navigator.clipboard.writeText(text);
@@ -958,45 +2967,25 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
     }
   };
 
-  const vectorToBundle = (v) => {
-    if (!v || typeof v !== "object") throw new Error("Invalid vector JSON");
-    if (!v.raw?.ciphertextB64url || !v.raw?.nonceB64url)
-      throw new Error("Vector missing raw.ciphertextB64url/nonceB64url");
-    if (!v.envelope) throw new Error("Vector missing envelope");
-    if (!v.wrappedKey) throw new Error("Vector missing wrappedKey");
-    if (!v.recipientPrivHex) {
-      throw new Error("Vector missing recipientPrivHex. Re-export with 'include demo privkey' enabled.");
+  // vector JSON (or the recipient key file) for the selected export profile
+  const exportGenerated = () => {
+    const g = res.generated;
+    if (exportProfile === "keyfile") {
+      return { filename: keyFileName(g.rid), json: JSON.stringify(recipientKeyFile(g), null, 2) };
     }
-
-    return {
-      aadText: typeof v.aadText === "string" ? v.aadText : "",
-      raw: {
-        ciphertextB64url: v.raw.ciphertextB64url,
-        nonceB64url: v.raw.nonceB64url,
-        ciphertextHash: v.raw.ciphertextHash,
-        ...(v.raw.aadHash ? { aadHash: v.raw.aadHash } : {}),
-      },
-      envelope: v.envelope,
-      wrappedKey: v.wrappedKey,
-      recipient: {
-        rid: v.rid,
-        recipientPubHex: v.recipientPubHex,
-        recipientPrivHex: v.recipientPrivHex,
-      },
-    };
+    const v = exportProfile === "demo" ? g : publicVector(g);
+    return { filename: "pxp201-vector.json", json: canonicalize(v) };
   };
 
-  const importVectorFile = async (file) => {
-    if (!file) return;
-    const text = await file.text();
-
+  // vector (or any bundle form) → a bundle for the Decrypt tab, via lib/importer.js
+  const importVector = async (text) => {
     try {
-      const v = JSON.parse(text);
-      const bundle = vectorToBundle(v);
+      const imp = importInput(text);
+      if (!imp.bundle) throw new Error(`${describeImport(imp)}. Import a vector or a bundle here`);
 
-      const bundleStr = JSON.stringify(bundle, null, 2);
+      const bundleStr = JSON.stringify(imp.bundle, null, 2);
       setImportJson(bundleStr);
-      flash("Vector imported");
+      flash(describeImport(imp));
 
       setBundleInput?.(bundleStr);
       setTab?.("decrypt");
@@ -1012,100 +3001,22 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
     }
   };
 
-  // ✅ PATCH: multi-recipient compatible runFromBundle (and legacy fallback)
+  // ✅ PATCH: multi-recipient compatible runFromBundle (and legacy fallback), runs in the worker
   const runFromBundle = async () => {
     onStatus?.({ sdk: "running" });
     setRes(null);
 
     try {
-      const bundle = JSON.parse(bundleInput || "{}");
-      const { raw, envelope } = bundle;
-
-      const aadText = typeof bundle.aadText === "string" ? bundle.aadText : "";
-
-      if (!raw?.ciphertextB64url || !raw?.nonceB64url) {
-        throw new Error("bundle.raw missing ciphertextB64url/nonceB64url");
-      }
-      if (!envelope) throw new Error("bundle.envelope missing");
-
-      // 1) validate envelope structure
-      validateEnvelope(envelope);
-
-      // --- Resolve (wrappedKey, privHex, rid) from either:
-      // A) new multi-recipient bundle: envelope.access.recipients + recipientPrivHexByRid
-      // B) legacy bundle: bundle.wrappedKey + bundle.recipient.recipientPrivHex
-
-      let wrappedKey = bundle?.wrappedKey || "";
-      let privHex = bundle?.recipient?.recipientPrivHex || "";
-      let rid = bundle?.recipient?.rid || envelope?.access?.recipients?.[0]?.rid || "";
-
-      // If multi-recipient bundle style:
-      if (!wrappedKey) {
-        const recips = envelope?.access?.recipients || [];
-        if (!Array.isArray(recips) || recips.length === 0) {
-          throw new Error("envelope.access.recipients missing/empty");
-        }
-
-        // choose first recipient (Vectors panel is mono-recipient UX)
-        const entry = recips[0];
-        if (!entry?.wrappedKey) throw new Error("No wrappedKey found in envelope.access.recipients[0]");
-        wrappedKey = entry.wrappedKey;
-        rid = entry.rid || rid;
-
-        const privMap = bundle?.recipientPrivHexByRid;
-        if (privMap && typeof privMap === "object") {
-          privHex = privMap[entry.rid] || privHex;
-        }
-      }
-
-      if (!wrappedKey)
-        throw new Error(
-          "No wrappedKey available in bundle (expected bundle.wrappedKey or envelope.access.recipients[0].wrappedKey)"
-        );
-      if (!privHex)
-        throw new Error(
-          "No recipient privkey available in bundle (expected bundle.recipient.recipientPrivHex or bundle.recipientPrivHexByRid[rid])"
-        );
-
-      // 2) unwrap
-      const dek = await unwrapDEK_secp256k1({
-        wrappedKey,
-        recipientPrivKeyHex: privHex,
-        aadText: aadText || undefined,
-      });
-
-      // 3) decrypt
-      const plaintext = await decryptTextFromEnvelope({
-        envelope,
-        dek,
-        ciphertextB64url: raw.ciphertextB64url,
-        nonceB64url: raw.nonceB64url,
-        aadText: aadText || undefined,
-      });
-
-      // 4) hash checks
-      const hashMatch = raw.ciphertextHash === envelope.ciphertextHash;
-      const aadMatch = !envelope.aadHash || raw.aadHash === envelope.aadHash;
-
-      setRes({
-        mode: "bundle",
-        ok: true,
-        plaintext,
-        checks: {
-          envelopeValid: true,
-          wk1Parsed: true,
-          hashMatch,
-          aadMatch,
-          decryptOk: true,
-        },
-        meta: {
-          rid,
-          createdAt: envelope.createdAt,
-        },
-      });
+      const imported = importInput(bundleInput);
+      if (!imported.bundle) throw new Error(`${describeImport(imported)}. Replay needs a bundle`);
+      setRes(await job.run("replayBundle", { bundle: imported.bundle, ...validityParams(validityPolicy) }));
 
       onStatus?.({ sdk: "ok" });
     } catch (e) {
+      if (isCancelled(e)) {
+        onStatus?.({ sdk: "cancelled" });
+        return;
+      }
       console.error(e);
       setRes({ mode: "bundle", ok: false, error: String(e?.message || e) });
       onStatus?.({ sdk: "error" });
@@ -1117,94 +3028,14 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
     setRes(null);
 
     try {
-      const plaintextIn = "vector: hello from PXP-201";
-      const aadText = "app:pxp201-ui|vectors:v0.1";
-      const rid = "did:pkh:eip155:1:0xDEMO_RECIPIENT";
-
-      const priv = secp.utils.randomSecretKey();
-      const pub = secp.getPublicKey(priv, true);
-      const privHex = u8ToHex(priv);
-      const pubHex = u8ToHex(pub);
-
-      const raw = await encryptTextRaw({
-        plaintext: plaintextIn,
-        cipher: "AES-256-GCM",
-        aadText,
-      });
-
-      const wk = await wrapDEK_secp256k1({
-        dek: raw.dek,
-        recipientPubKeyHex: pubHex,
-        kid: rid,
-        aadText,
-      });
-
-      const env = {
-        v: "0.1",
-        typ: "PXP201",
-        cipher: "AES-256-GCM",
-        kdf: "HKDF-SHA256",
-        access: {
-          mode: "RECIPIENTS",
-          kem: "RECIPIENTS-SECP256K1-ECIES",
-          recipients: [{ rid, wrappedKey: wk }],
-        },
-        uri: "ipfs://<your-ciphertext-uri>",
-        ciphertextHash: raw.ciphertextHash,
-        ...(raw.aadHash ? { aadHash: raw.aadHash } : {}),
-        meta: { mime: "text/plain" },
-        createdAt: nowUnix(),
-      };
-
-      validateEnvelope(env);
-
-      const dek2 = await unwrapDEK_secp256k1({
-        wrappedKey: wk,
-        recipientPrivKeyHex: privHex,
-        aadText,
-      });
-
-      const plaintextOut = await decryptTextFromEnvelope({
-        envelope: env,
-        dek: dek2,
-        ciphertextB64url: raw.ciphertextB64url,
-        nonceB64url: raw.nonceB64url,
-        aadText,
-      });
-
-      const decryptOk = plaintextOut === plaintextIn;
-      const hashMatch = raw.ciphertextHash === env.ciphertextHash;
-      const aadMatch = !env.aadHash || raw.aadHash === env.aadHash;
-
-      setRes({
-        mode: "generate",
-        ok: decryptOk && hashMatch && aadMatch,
-        plaintext: plaintextOut,
-        checks: {
-          envelopeValid: true,
-          wk1Parsed: true,
-          hashMatch,
-          aadMatch,
-          decryptOk,
-        },
-        generated: {
-          aadText,
-          rid,
-          recipientPubHex: pubHex,
-          recipientPrivHex: privHex,
-          wrappedKey: wk,
-          raw: {
-            nonceB64url: raw.nonceB64url,
-            ciphertextB64url: raw.ciphertextB64url,
-            ciphertextHash: raw.ciphertextHash,
-            ...(raw.aadHash ? { aadHash: raw.aadHash } : {}),
-          },
-          envelope: env,
-        },
-      });
+      setRes(await job.run("generateVector", { cipher, sign }));
 
       onStatus?.({ sdk: "ok" });
     } catch (e) {
+      if (isCancelled(e)) {
+        onStatus?.({ sdk: "cancelled" });
+        return;
+      }
       console.error(e);
       setRes({ mode: "generate", ok: false, error: String(e?.message || e) });
       onStatus?.({ sdk: "error" });
@@ -1220,8 +3051,20 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
       </div>
 
       <div className="flex flex-wrap items-center gap-2">
-        <Button onClick={runGenerate}>Run self-test (generate)</Button>
-        <Button variant="ghost" onClick={runFromBundle} disabled={!bundleInput}>
+        <Button onClick={runGenerate} disabled={job.running}>
+          Run self-test (generate)
+        </Button>
+        <CipherSelect value={cipher} onChange={setCipher} />
+        <label className="inline-flex items-center gap-2 text-xs text-zinc-400 select-none">
+          <input
+            type="checkbox"
+            checked={sign}
+            onChange={(e) => setSign(e.target.checked)}
+            className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
+          />
+          sign as sender
+        </label>
+        <Button variant="ghost" onClick={runFromBundle} disabled={!bundleInput || job.running}>
           Run from Bundle JSON
         </Button>
 
@@ -1231,46 +3074,37 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
           variant="ghost"
           onClick={() => {
             if (!res?.generated) return;
-            const v = {
-              ...res.generated,
-              recipientPrivHex: includePriv ? res.generated.recipientPrivHex : undefined,
-            };
-            if (!includePriv) delete v.recipientPrivHex;
-
-            downloadText("pxp201-vector.json", JSON.stringify(v, null, 2));
+            const { filename, json } = exportGenerated();
+            downloadText(filename, json);
           }}
           disabled={!res?.generated}
         >
-          Download vector JSON
+          {exportProfile === "keyfile" ? "Download key file" : "Download vector JSON"}
         </Button>
 
         <Button
           variant="ghost"
           onClick={async () => {
             if (!res?.generated) return;
-            const v = {
-              ...res.generated,
-              recipientPrivHex: includePriv ? res.generated.recipientPrivHex : undefined,
-            };
-            if (!includePriv) delete v.recipientPrivHex;
-
-            await copyToClipboard(JSON.stringify(v, null, 2));
+            await copyToClipboard(exportGenerated().json);
             flash("Copied to clipboard");
           }}
           disabled={!res?.generated}
         >
-          Copy vector JSON
+          {exportProfile === "keyfile" ? "Copy key file" : "Copy vector JSON"}
         </Button>
 
-        <label className="ml-2 inline-flex items-center gap-2 text-xs text-zinc-400 select-none">
-          <input
-            type="checkbox"
-            checked={includePriv}
-            onChange={(e) => setIncludePriv(e.target.checked)}
-            className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
-          />
-          include demo privkey
-        </label>
+        <select
+          value={exportProfile}
+          onChange={(e) => setExportProfile(e.target.value)}
+          className="rounded-xl bg-zinc-900/50 px-3 py-2 text-xs text-zinc-100 ring-1 ring-zinc-800 focus:outline-none"
+        >
+          {EXPORT_PROFILES.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.label}
+            </option>
+          ))}
+        </select>
 
         <div className="mx-1 h-6 w-px bg-zinc-800" />
 
@@ -1283,20 +3117,12 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
           />
           auto-run after import
         </label>
-
-        <label className="inline-flex items-center gap-2 text-xs text-zinc-400 select-none cursor-pointer">
-          <input
-            type="file"
-            accept="application/json"
-            className="hidden"
-            onChange={(e) => importVectorFile(e.target.files?.[0])}
-          />
-          <span className="inline-flex items-center rounded-xl px-3 py-2 ring-1 ring-zinc-800 bg-zinc-950 hover:bg-zinc-900/40">
-            Import vector JSON
-          </span>
-        </label>
       </div>
 
+      <ImportBar onText={importVector} hint="Import vector JSON: drop a vector or bundle here or click to pick" />
+
+      <JobBar job={job} />
+
       {toast ? <div className="text-xs text-emerald-300">{toast}</div> : null}
 
       {importJson ? (
@@ -1362,7 +3188,24 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
               <span className="text-zinc-400">Decrypt OK</span>
               <span>{okBadge(res.checks.decryptOk)}</span>
             </div>
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-zinc-400">Signature valid / signer</span>
+              <SignatureStatus signature={res.checks.signature} />
+            </div>
+            <div className="flex items-center justify-between gap-3">
+              <span className="shrink-0 text-zinc-400">Envelope fingerprint</span>
+              <Fingerprint value={res.checks.fingerprint} />
+            </div>
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-zinc-400">Validity window</span>
+              <ValidityStatus validity={res.checks.validity} />
+            </div>
           </div>
+          {res.checks.hashes ? (
+            <div className="mt-3">
+              <HashChecks hashes={res.checks.hashes} />
+            </div>
+          ) : null}
         </div>
       ) : null}
 
@@ -1372,9 +3215,9 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
           <div className="mt-3">
             <CodeBlock
               value={JSON.stringify(
-                includePriv
+                exportProfile === "demo"
                   ? res.generated
-                  : { ...res.generated, recipientPrivHex: "<hidden (toggle include demo privkey)>" },
+                  : { ...res.generated, recipientPrivHex: "<hidden (select the demo export profile)>" },
                 null,
                 2
               )}
@@ -1386,11 +3229,346 @@ function VectorsPanel({ bundleInput, setBundleInput, setTab, onStatus }) {
   );
 }
 
+// --- Inspector tab panel ---
+const SEVERITY_STYLE = { error: "text-rose-300", warning: "text-amber-300", info: "text-zinc-400" };
+
+function InspectorPanel({ bundleInput, validityPolicy }) {
+  const [input, setInput] = useState("");
+  const [shown, setShown] = useState({ error: true, warning: true, info: true });
+
+  // lib/inspect.js is structural and synchronous: re-lint on every edit, no worker round-trip
+  const report = useMemo(
+    () => (input.trim() ? inspectJson(input, { now: validityParams(validityPolicy).now }) : null),
+    [input, validityPolicy]
+  );
+  const findings = report ? report.findings.filter((f) => shown[f.severity]) : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <Pill>field-level lint</Pill>
+        <Pill>JSON pointer paths</Pill>
+        <Pill>no keys needed</Pill>
+      </div>
+
+      <Field label="Envelope or bundle JSON" hint="Linted as you type; nothing is decrypted">
+        <Textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder='{"v": "0.1", "typ": "PXP201", ...} or {"raw": {...}, "envelope": {...}}'
+          className="min-h-[200px] font-mono text-xs"
+        />
+      </Field>
+
+      <div className="flex flex-wrap gap-2">
+        <Button variant="ghost" onClick={() => setInput(bundleInput)} disabled={!bundleInput}>
+          Load Bundle JSON (Decrypt tab)
+        </Button>
+        <Button variant="ghost" onClick={() => setInput("")} disabled={!input}>
+          Clear
+        </Button>
+      </div>
+
+      {report ? (
+        <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div
+              className={classNames("text-sm font-medium", report.counts.error ? "text-rose-300" : "text-emerald-300")}
+            >
+              {report.counts.error ? "❌" : "✅"} {report.kind} • {report.counts.error} error(s),{" "}
+              {report.counts.warning} warning(s), {report.counts.info} info
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {SEVERITIES.map((s) => (
+                <label key={s} className="inline-flex items-center gap-2 text-xs text-zinc-400 select-none">
+                  <input
+                    type="checkbox"
+                    checked={shown[s]}
+                    onChange={(e) => setShown((prev) => ({ ...prev, [s]: e.target.checked }))}
+                    className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
+                  />
+                  {s} ({report.counts[s]})
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {findings.length === 0 ? (
+            <div className="text-sm text-zinc-500">Nothing to show for the selected severities.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-xs text-zinc-300">
+                <thead className="text-zinc-500">
+                  <tr>
+                    <th className="py-1 pr-3 font-normal">severity</th>
+                    <th className="py-1 pr-3 font-normal">path</th>
+                    <th className="py-1 font-normal">finding</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {findings.map((f, i) => (
+                    <tr key={i} className="border-t border-zinc-800 align-top">
+                      <td className={classNames("py-1 pr-3", SEVERITY_STYLE[f.severity])}>{f.severity}</td>
+                      <td className="py-1 pr-3 font-mono break-all">{f.path || "(root)"}</td>
+                      <td className="py-1 break-all">{f.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-sm text-zinc-500">Paste an envelope or bundle to see its report.</div>
+      )}
+
+      <Field label={`JSON Schemas (v${SCHEMA_VERSION})`} hint="Draft 2020-12: validate these files from other SDKs">
+        <div className="flex flex-wrap gap-2">
+          {SCHEMAS.map((s) => (
+            <Button
+              key={s.id}
+              variant="ghost"
+              onClick={() => downloadText(schemaFileName(s.id), JSON.stringify(s.schema, null, 2))}
+            >
+              {s.label}
+            </Button>
+          ))}
+        </div>
+      </Field>
+    </div>
+  );
+}
+
+// --- Keyring tab panel ---
+function KeyringPanel({ keyring }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [label, setLabel] = useState("");
+  const [importPriv, setImportPriv] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState({ ok: "", error: "" });
+
+  const act = async (fn, okMsg) => {
+    setBusy(true);
+    setMsg({ ok: "", error: "" });
+    try {
+      await fn();
+      if (okMsg) setMsg({ ok: okMsg, error: "" });
+    } catch (e) {
+      console.error(e);
+      setMsg({ ok: "", error: String(e?.message || e) });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const unlock = () =>
+    act(async () => {
+      if (!keyring.initialized && passphrase !== confirm) throw new Error("Passphrases do not match");
+      await keyring.unlock(passphrase);
+      setPassphrase("");
+      setConfirm("");
+    }, "Keyring unlocked");
+
+  const importKeyFiles = async (files) =>
+    act(async () => {
+      for (const f of files) {
+        const k = await parseKeyFile(await f.text());
+        if (k.kem !== DEFAULT_KEM) throw new Error(`${f.name}: the keyring holds secp256k1 keys only`);
+        await keyring.add({ privHex: k.recipientPrivHex, rid: k.rid, label: label || f.name });
+      }
+    }, `Imported ${files.length} key file(s)`);
+
+  const exportKey = (k) =>
+    act(async () => {
+      const privHex = await keyring.reveal(k.id);
+      downloadText(
+        keyFileName(k.rid),
+        JSON.stringify(recipientKeyFile({ rid: k.rid, recipientPubHex: k.pubHex, recipientPrivHex: privHex }), null, 2)
+      );
+    });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <Pill>IndexedDB</Pill>
+        <Pill>PBKDF2-SHA256 ({PBKDF2_ITERATIONS.toLocaleString()} iters)</Pill>
+        <Pill>AES-256-GCM sealed keys</Pill>
+      </div>
+
+      <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="text-sm font-medium">
+            {keyring.unlocked
+              ? "🔓 Unlocked"
+              : keyring.initialized
+                ? "🔒 Locked"
+                : "New keyring: choose a passphrase"}
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={keyring.autoLockMin}
+              onChange={(e) => keyring.setAutoLockMin(Number(e.target.value))}
+              className="rounded-lg bg-zinc-900/50 px-2 py-1 text-xs text-zinc-100 ring-1 ring-zinc-800 focus:outline-none"
+            >
+              {AUTO_LOCK_MINUTES.map((m) => (
+                <option key={m} value={m}>
+                  auto-lock after {m} min
+                </option>
+              ))}
+            </select>
+            {keyring.unlocked ? (
+              <Button variant="ghost" onClick={keyring.lock}>
+                Lock
+              </Button>
+            ) : null}
+          </div>
+        </div>
+
+        {!keyring.unlocked ? (
+          <div className="grid gap-3 md:grid-cols-2">
+            <Field label="Passphrase">
+              <Input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && keyring.initialized && unlock()}
+              />
+            </Field>
+            {!keyring.initialized ? (
+              <Field label="Confirm passphrase">
+                <Input type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} />
+              </Field>
+            ) : null}
+            <div>
+              <Button onClick={unlock} disabled={busy || !passphrase}>
+                {keyring.initialized ? "Unlock" : "Create keyring"}
+              </Button>
+            </div>
+          </div>
+        ) : null}
+      </div>
+
+      {keyring.unlocked ? (
+        <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4 space-y-4">
+          <div className="text-sm font-medium">Add keys</div>
+
+          <Field label="Label" hint="Also used as the label for imported key files">
+            <Input value={label} onChange={(e) => setLabel(e.target.value)} placeholder="e.g. Alice laptop" />
+          </Field>
+
+          <div className="flex flex-wrap gap-2">
+            <Button
+              onClick={() => act(() => keyring.generate({ label }).then(() => setLabel("")), "Key generated")}
+              disabled={busy}
+            >
+              Generate keypair
+            </Button>
+          </div>
+
+          <Field label="Import private key (hex)" hint="rid defaults to the key's did:key">
+            <div className="flex gap-2">
+              <Input value={importPriv} onChange={(e) => setImportPriv(e.target.value)} placeholder="0x..." />
+              <Button
+                variant="ghost"
+                onClick={() =>
+                  act(async () => {
+                    await keyring.add({ privHex: importPriv, label });
+                    setImportPriv("");
+                    setLabel("");
+                  }, "Key imported")
+                }
+                disabled={busy || !importPriv}
+              >
+                Import
+              </Button>
+            </div>
+          </Field>
+
+          <Field label="Import key files">
+            <label className="flex w-full cursor-pointer items-center justify-center rounded-xl bg-zinc-900/50 px-3 py-3 text-sm ring-1 ring-zinc-800 hover:bg-zinc-900/70">
+              <input
+                type="file"
+                accept="application/json"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  importKeyFiles([...(e.target.files || [])]);
+                  e.target.value = "";
+                }}
+              />
+              <span className="text-zinc-500">Pick pxp201-key-*.json files</span>
+            </label>
+          </Field>
+        </div>
+      ) : null}
+
+      <div className="rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4">
+        <div className="text-sm font-medium">Keys ({keyring.entries.length})</div>
+        <div className="mt-3 grid gap-3">
+          {keyring.entries.length === 0 ? <div className="text-sm text-zinc-500">No keys yet.</div> : null}
+          {keyring.entries.map((k) => (
+            <div key={k.id} className="rounded-xl bg-zinc-900/30 ring-1 ring-zinc-800 p-3 space-y-2">
+              <div className="grid gap-2 md:grid-cols-2">
+                <Input
+                  defaultValue={k.label}
+                  placeholder="label"
+                  onBlur={(e) => {
+                    if (e.target.value !== k.label) act(() => keyring.update(k.id, { label: e.target.value }));
+                  }}
+                />
+                <Input
+                  defaultValue={k.rid}
+                  placeholder="rid"
+                  onBlur={(e) => {
+                    if (e.target.value !== k.rid) act(() => keyring.update(k.id, { rid: e.target.value }));
+                  }}
+                />
+              </div>
+              <div className="text-xs text-zinc-500 break-all font-mono">{k.pubHex}</div>
+              <div className="flex flex-wrap gap-2">
+                <Button variant="ghost" onClick={() => exportKey(k)} disabled={busy || !keyring.unlocked}>
+                  Export key file
+                </Button>
+                <Button
+                  variant="ghost"
+                  onClick={() => {
+                    if (window.confirm(`Delete key ${k.label || k.rid}? This cannot be undone.`)) {
+                      act(() => keyring.remove(k.id), "Key deleted");
+                    }
+                  }}
+                  disabled={busy}
+                >
+                  Delete
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {msg.ok ? <div className="text-xs text-emerald-300">{msg.ok}</div> : null}
+      {msg.error ? (
+        <div className="rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/20 p-4">
+          <div className="text-sm font-medium text-rose-200">Error</div>
+          <div className="mt-2 text-sm text-rose-200/80">{msg.error}</div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
 export default function App() {
   const [tab, setTab] = useState("encrypt");
   const [status, setStatus] = useState({ tailwind: "ok", sdk: "not wired", vectors: "idle" });
 
   const [bundleInput, setBundleInput] = useState("");
+  // one AAD for Encrypt, Decrypt, Access and WK1 (bundles loaded in a panel update it)
+  const [aadText, setAadText] = useState(DEFAULT_AAD);
+  // envelope validity windows: refuse (strict) or warn outside them; the clock can be overridden to test
+  const [validityPolicy, setValidityPolicy] = useState({ strict: true, clockOverride: "" });
+  const [storage, setStorage] = useState({ backend: "idb", endpoint: DEFAULT_HTTP_ENDPOINT });
+  const keyring = useKeyring();
 
   const title = useMemo(() => tabs.find((x) => x.id === tab)?.label ?? "PXP-201 UI", [tab]);
 
@@ -1460,6 +3638,11 @@ export default function App() {
           <section className="md:col-span-8 rounded-2xl bg-zinc-950 ring-1 ring-zinc-800 p-4">
             {tab === "encrypt" ? (
               <EncryptPanel
+                aadText={aadText}
+                setAadText={setAadText}
+                storage={storage}
+                setStorage={setStorage}
+                keyring={keyring}
                 onStatus={(s) =>
                   setStatus((prev) => ({
                     ...prev,
@@ -1471,6 +3654,28 @@ export default function App() {
               <DecryptPanel
                 bundleInput={bundleInput}
                 setBundleInput={setBundleInput}
+                aadText={aadText}
+                setAadText={setAadText}
+                validityPolicy={validityPolicy}
+                storage={storage}
+                setStorage={setStorage}
+                keyring={keyring}
+                onStatus={(s) =>
+                  setStatus((prev) => ({
+                    ...prev,
+                    sdk: s.sdk ?? prev.sdk,
+                  }))
+                }
+              />
+            ) : tab === "access" ? (
+              <AccessPanel
+                bundleInput={bundleInput}
+                setBundleInput={setBundleInput}
+                aadText={aadText}
+                setAadText={setAadText}
+                storage={storage}
+                setStorage={setStorage}
+                keyring={keyring}
                 onStatus={(s) =>
                   setStatus((prev) => ({
                     ...prev,
@@ -1481,6 +3686,9 @@ export default function App() {
             ) : tab === "wk1" ? (
               <WK1Panel
                 bundleInput={bundleInput}
+                aadText={aadText}
+                setAadText={setAadText}
+                keyring={keyring}
                 onStatus={(s) =>
                   setStatus((prev) => ({
                     ...prev,
@@ -1493,6 +3701,7 @@ export default function App() {
                 bundleInput={bundleInput}
                 setBundleInput={setBundleInput}
                 setTab={setTab}
+                validityPolicy={validityPolicy}
                 onStatus={(s) =>
                   setStatus((prev) => ({
                     ...prev,
@@ -1501,6 +3710,10 @@ export default function App() {
                   }))
                 }
               />
+            ) : tab === "inspector" ? (
+              <InspectorPanel bundleInput={bundleInput} validityPolicy={validityPolicy} />
+            ) : tab === "keyring" ? (
+              <KeyringPanel keyring={keyring} />
             ) : (
               <div className="text-sm text-zinc-400">
                 Coming next. Current tab: <span className="text-zinc-200">{tab}</span>
@@ -1523,9 +3736,48 @@ export default function App() {
                 <span className="text-zinc-400">Vectors</span>
                 <span className={vectorsStatusPill}>{status.vectors}</span>
               </li>
+              <li className="flex items-center justify-between">
+                <span className="text-zinc-400">Storage</span>
+                <span className="text-zinc-300">{storage.backend}</span>
+              </li>
+              <li className="flex items-center justify-between">
+                <span className="text-zinc-400">Keyring</span>
+                <span className={keyring.unlocked ? "text-emerald-300" : "text-zinc-500"}>
+                  {keyring.unlocked ? "unlocked" : "locked"} • {keyring.entries.length} keys
+                </span>
+              </li>
             </ul>
 
-            <div className="mt-6 rounded-xl bg-zinc-900/40 ring-1 ring-zinc-800 p-4">
+            <div className="mt-6 space-y-3 rounded-xl bg-zinc-900/40 ring-1 ring-zinc-800 p-4">
+              <div className="text-sm font-medium">Validity windows</div>
+              <label className="inline-flex items-center gap-2 text-xs text-zinc-400 select-none">
+                <input
+                  type="checkbox"
+                  checked={validityPolicy.strict}
+                  onChange={(e) => setValidityPolicy((prev) => ({ ...prev, strict: e.target.checked }))}
+                  className="h-4 w-4 rounded border-zinc-700 bg-zinc-900"
+                />
+                strict: refuse to decrypt outside notBefore / expiresAt (off: warn)
+              </label>
+              <Field label="Clock override" hint={validityPolicy.clockOverride ? "overridden" : "real clock"}>
+                <div className="flex gap-2">
+                  <Input
+                    type="datetime-local"
+                    value={validityPolicy.clockOverride}
+                    onChange={(e) => setValidityPolicy((prev) => ({ ...prev, clockOverride: e.target.value }))}
+                  />
+                  <Button
+                    variant="ghost"
+                    onClick={() => setValidityPolicy((prev) => ({ ...prev, clockOverride: "" }))}
+                    disabled={!validityPolicy.clockOverride}
+                  >
+                    Reset
+                  </Button>
+                </div>
+              </Field>
+            </div>
+
+            <div className="mt-4 rounded-xl bg-zinc-900/40 ring-1 ring-zinc-800 p-4">
               <div className="text-xs text-zinc-400">
                 Tip: AAD binds context (app/chain/epoch). Use it to prevent replay across contexts.
               </div>
@@ -0,0 +1,134 @@
+// src/lib/aad.js
+// Structured AAD: typed fields ⇄ one canonical string, so every panel binds the same context.
+//
+//   app:<app>|v<version>|chain:<caip-2>|contract:<0x…>|epoch:<n>|nbf:<unix>|exp:<unix>|<custom key>:<value>…
+//
+// nbf / exp bind the envelope validity window (lib/validity.js): set from Encrypt, not typed here.
+//
+// Canonical form: fixed field order, custom keys sorted (UTF-16 code units), empty fields omitted,
+// `%` and `|` in values percent-escaped, contract lowercased. The encoded string is what gets hashed.
+
+export const DEFAULT_AAD = "app:pxp201-ui|v0.1";
+
+export const AAD_FIELDS = [
+  { key: "app", label: "App", placeholder: "pxp201-ui" },
+  { key: "version", label: "Version", placeholder: "0.1" },
+  { key: "chain", label: "Chain id (CAIP-2)", placeholder: "eip155:1" },
+  { key: "contract", label: "Contract", placeholder: "0x… (20 bytes)" },
+  { key: "epoch", label: "Epoch", placeholder: "0" },
+];
+
+// segment keys of the typed fields (version is the bare `v…` segment)
+const RESERVED = new Set(["app", "v", "version", "chain", "contract", "epoch", "nbf", "exp"]);
+const CUSTOM_KEY_RE = /^[A-Za-z0-9_.-]+$/;
+
+function escapeValue(v) {
+  return v.replace(/%/g, "%25").replace(/\|/g, "%7C");
+}
+
+function unescapeValue(v, n) {
+  if (/%(?!25|7C)/i.test(v)) throw new Error(`AAD segment ${n}: only %25 and %7C escapes are allowed`);
+  return v.replace(/%7C/gi, "|").replace(/%25/g, "%");
+}
+
+export function emptyAad() {
+  return { app: "", version: "", chain: "", contract: "", epoch: "", nbf: "", exp: "", custom: [] };
+}
+
+/** Fields → canonical AAD string ("" when every field is empty). Does not validate: see validateAad. */
+export function encodeAad(fields) {
+  const f = { ...emptyAad(), ...fields };
+  const segs = [];
+  const put = (k, v) => {
+    const t = String(v ?? "").trim();
+    if (t) segs.push(`${k}:${escapeValue(t)}`);
+  };
+
+  put("app", f.app);
+  if (String(f.version ?? "").trim()) segs.push(`v${escapeValue(String(f.version).trim())}`);
+  put("chain", f.chain);
+  put("contract", String(f.contract ?? "").toLowerCase());
+  put("epoch", f.epoch);
+  put("nbf", f.nbf);
+  put("exp", f.exp);
+
+  const custom = (f.custom || [])
+    .map((c) => ({ key: (c.key || "").trim(), value: c.value ?? "" }))
+    .filter((c) => c.key)
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  for (const c of custom) put(c.key, c.value);
+
+  return segs.join("|");
+}
+
+/** AAD string → fields. Throws on strings that are not in the structured form (free-text AAD). */
+export function parseAad(text) {
+  const out = emptyAad();
+  if (!text) return out;
+
+  const seen = new Set();
+  text.split("|").forEach((seg, i) => {
+    const n = i + 1;
+    const colon = seg.indexOf(":");
+    let key;
+    let value;
+    if (colon < 0) {
+      if (!/^v./.test(seg)) throw new Error(`AAD segment ${n} ("${seg}"): expected key:value or v<version>`);
+      key = "v";
+      value = seg.slice(1);
+    } else {
+      key = seg.slice(0, colon);
+      value = seg.slice(colon + 1);
+      if (!CUSTOM_KEY_RE.test(key)) throw new Error(`AAD segment ${n}: invalid key "${key}"`);
+      if (key === "v" || key === "version") throw new Error(`AAD segment ${n}: write the version as v<version>`);
+    }
+    if (seen.has(key)) throw new Error(`AAD segment ${n}: duplicate key "${key}"`);
+    seen.add(key);
+
+    value = unescapeValue(value, n);
+    if (key === "v") out.version = value;
+    else if (RESERVED.has(key)) out[key] = value;
+    else out.custom.push({ key, value });
+  });
+  return out;
+}
+
+/** Field problems → [{ key, error }] (empty when the AAD is well-formed). */
+export function validateAad(fields) {
+  const f = { ...emptyAad(), ...fields };
+  const errors = [];
+  if (f.chain && !/^[-a-z0-9]{3,8}:[-_a-zA-Z0-9]{1,32}$/.test(f.chain.trim())) {
+    errors.push({ key: "chain", error: "Chain id must be CAIP-2, e.g. eip155:1" });
+  }
+  if (f.contract && !/^0x[0-9a-fA-F]{40}$/.test(f.contract.trim())) {
+    errors.push({ key: "contract", error: "Contract must be a 0x-prefixed 20-byte address" });
+  }
+  if (f.epoch && !/^(0|[1-9][0-9]*)$/.test(String(f.epoch).trim())) {
+    errors.push({ key: "epoch", error: "Epoch must be a non-negative integer" });
+  }
+  for (const key of ["nbf", "exp"]) {
+    if (f[key] && !/^(0|[1-9][0-9]*)$/.test(String(f[key]).trim())) {
+      errors.push({ key, error: `${key} must be a unix timestamp (seconds)` });
+    }
+  }
+
+  const keys = new Set();
+  for (const c of f.custom || []) {
+    const k = (c.key || "").trim();
+    if (!k) continue;
+    if (!CUSTOM_KEY_RE.test(k)) errors.push({ key: k, error: `Custom key "${k}": use letters, digits, _ . -` });
+    else if (RESERVED.has(k)) errors.push({ key: k, error: `Custom key "${k}" is reserved` });
+    else if (keys.has(k)) errors.push({ key: k, error: `Custom key "${k}" is duplicated` });
+    keys.add(k);
+  }
+  return errors;
+}
+
+/** Canonical re-encoding of an AAD string, or null for free-text AAD that does not parse. */
+export function normalizeAad(text) {
+  try {
+    return encodeAad(parseAad(text));
+  } catch {
+    return null;
+  }
+}
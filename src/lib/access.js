@@ -0,0 +1,118 @@
+// src/lib/access.js
+// Access changes on an existing envelope.
+// - grant: re-wrap the current DEK for one more recipient (payload untouched)
+// - revoke: a fresh DEK and a re-encrypted payload, wrapped for the remaining recipients only
+import { validateEnvelope } from "@privacyx/pxp201";
+
+import { isThresholdEnvelope } from "./threshold.js";
+import { DEFAULT_KEM, unwrapEntry, wrapDEK } from "./kem.js";
+import { isPassphraseEntry, wrapDEK_passphrase } from "./passphrase.js";
+
+function findRecipient(envelope, rid) {
+  const recips = envelope?.access?.recipients || [];
+  const entry = recips.find((r) => r.rid === rid);
+  if (!entry) throw new Error(`rid not found in envelope.access.recipients: ${rid}`);
+  return entry;
+}
+
+/**
+ * Grant: an existing recipient unwraps the DEK and re-wraps it for a new pubkey (of KEM `newKem`).
+ * Payload, ciphertextHash and uri are untouched; one recipient entry is appended (and `sig` dropped).
+ */
+export async function grantAccess({
+  envelope,
+  aadText,
+  granterRid,
+  granterPrivHex,
+  newRid,
+  newPubHex,
+  newKem = DEFAULT_KEM,
+}) {
+  if (isThresholdEnvelope(envelope)) throw new Error("Grant works on RECIPIENTS envelopes: THRESHOLD shares are fixed");
+  validateEnvelope(envelope);
+  if (!newRid) throw new Error("new recipient rid required");
+  if (!newPubHex) throw new Error("new recipient pubkey required");
+  if (!granterPrivHex) throw new Error("granter privkey required");
+  if (envelope.access.recipients.some((r) => r.rid === newRid)) {
+    throw new Error(`rid already has access: ${newRid}`);
+  }
+
+  const granter = findRecipient(envelope, granterRid);
+  if (isPassphraseEntry(granter)) throw new Error(`Grant from a key recipient: ${granterRid} is a passphrase entry`);
+  const dek = await unwrapEntry({ entry: granter, privHex: granterPrivHex, aadText });
+  const wrappedKey = await wrapDEK({ kem: newKem, dek, pubHex: newPubHex, kid: newRid, aadText });
+
+  // the recipient list changes, so a sender signature no longer holds (grantJob re-signs or reports it)
+  const { sig: _sig, ...unsigned } = envelope;
+  const next = {
+    ...unsigned,
+    access: {
+      ...envelope.access,
+      recipients: [...envelope.access.recipients, { rid: newRid, kem: newKem, wrappedKey }],
+    },
+  };
+  validateEnvelope(next);
+  return next;
+}
+
+/**
+ * Wrap one DEK for every `{ rid, kem?, recipientPubHex }` (wk1, kid = rid)
+ * or `{ kind: "passphrase", rid, passphrase }` (pw1).
+ * Never throws: each result is `{ rid, kem | kdf, wrappedKey, ms }` or `{ rid, error, ms }`.
+ */
+export async function wrapEachRecipient({ dek, recipients, aadText, onProgress }) {
+  const results = [];
+  for (let i = 0; i < recipients.length; i++) {
+    onProgress?.({ done: i, total: recipients.length });
+    const r = recipients[i];
+    const t0 = performance.now();
+    try {
+      if (r.kind === "passphrase") {
+        const { kdf, wrappedKey } = await wrapDEK_passphrase({ dek, passphrase: r.passphrase, rid: r.rid, aadText });
+        results.push({ rid: r.rid, wrappedKey, kdf, ms: performance.now() - t0 });
+        continue;
+      }
+      if (!r.recipientPubHex) throw new Error("no pubkey");
+      const kem = r.kem || DEFAULT_KEM;
+      const wrappedKey = await wrapDEK({ kem, dek, pubHex: r.recipientPubHex, kid: r.rid, aadText });
+      results.push({ rid: r.rid, kem, wrappedKey, ms: performance.now() - t0 });
+    } catch (e) {
+      results.push({ rid: r.rid, error: String(e?.message || e), ms: performance.now() - t0 });
+    }
+  }
+  onProgress?.({ done: recipients.length, total: recipients.length });
+  return results;
+}
+
+/** Same, all-or-nothing → envelope recipient entries `{ rid, kem, wrappedKey }`. */
+export async function wrapForRecipients(opts) {
+  const results = await wrapEachRecipient(opts);
+  const failed = results.find((r) => r.error);
+  if (failed) throw new Error(`cannot re-wrap for ${failed.rid}: ${failed.error}`);
+  return results.map(({ rid, kem, wrappedKey }) => ({ rid, kem, wrappedKey }));
+}
+
+/**
+ * Split the recipients of an envelope into kept / removed rids.
+ * Removing an entry alone revokes nothing (the DEK may already be known), so callers must rotate.
+ */
+export function planRevocation(envelope, removeRids) {
+  if (isThresholdEnvelope(envelope)) {
+    throw new Error("Revoke works on RECIPIENTS envelopes: re-encrypt a THRESHOLD payload with a new split");
+  }
+  const recips = envelope?.access?.recipients || [];
+  const remove = new Set(removeRids || []);
+  if (remove.size === 0) throw new Error("Select at least one rid to revoke");
+  for (const rid of remove) findRecipient(envelope, rid);
+
+  const kept = recips.filter((r) => !remove.has(r.rid)).map((r) => r.rid);
+  if (kept.length === 0) throw new Error("Cannot revoke every recipient: at least one must remain");
+  // the fresh DEK is wrapped for every kept rid, which a passphrase entry only allows with its passphrase
+  const locked = recips.filter((r) => !remove.has(r.rid) && isPassphraseEntry(r)).map((r) => r.rid);
+  if (locked.length) {
+    throw new Error(
+      `Passphrase entries cannot be re-wrapped without their passphrase: revoke ${locked.join(", ")} too`
+    );
+  }
+  return { kept, removed: [...remove] };
+}
@@ -0,0 +1,86 @@
+// src/lib/bundle.js
+// Export profiles for bundles and vectors:
+// - public: envelope + ciphertext, no secrets (safe to publish)
+// - keyfile: one recipient's private key, shipped separately from the bundle
+// - demo: the all-in-one bundle with every private key (playground only)
+import * as secp from "@noble/secp256k1";
+
+import { hexToU8, u8ToHex } from "./format.js";
+import { DEFAULT_KEM, getKem, normalizePubHex, publicKeyOf } from "./kem.js";
+
+export const EXPORT_PROFILES = [
+  { id: "public", label: "Public (no secrets)" },
+  { id: "keyfile", label: "Per-recipient key file" },
+  { id: "demo", label: "Demo (with private keys)" },
+];
+
+export const KEYFILE_TYP = "PXP201-KEY";
+
+/** Drop every secret a bundle (or legacy vector bundle) may carry. */
+export function publicBundle(bundle) {
+  const { recipientPrivHexByRid: _privs, dekHex: _dek, ...rest } = bundle;
+  const out = { ...rest };
+  if (out.raw) {
+    const { dekHex: _rawDek, ...raw } = out.raw;
+    out.raw = raw;
+  }
+  if (out.recipient) {
+    const { recipientPrivHex: _priv, ...recipient } = out.recipient;
+    out.recipient = recipient;
+  }
+  return out;
+}
+
+/** Same as publicBundle, for a single-recipient test vector. */
+export function publicVector(vector) {
+  const { recipientPrivHex: _priv, ...rest } = vector;
+  return rest;
+}
+
+// kem is only written for non-secp256k1 keys, so secp256k1 key files keep their original shape
+export function recipientKeyFile({ rid, kem = DEFAULT_KEM, recipientPrivHex, recipientPubHex }) {
+  if (!rid) throw new Error("Key file needs a rid");
+  if (!recipientPrivHex) throw new Error(`No private key for ${rid}`);
+  if (!recipientPubHex && kem !== DEFAULT_KEM) throw new Error(`No public key for ${rid}`);
+  return {
+    typ: KEYFILE_TYP,
+    v: "0.1",
+    rid,
+    ...(kem !== DEFAULT_KEM ? { kem } : {}),
+    recipientPubHex: recipientPubHex || u8ToHex(secp.getPublicKey(hexToU8(recipientPrivHex), true)),
+    recipientPrivHex,
+  };
+}
+
+export function keyFileName(rid) {
+  return `pxp201-key-${rid.replace(/[^A-Za-z0-9_-]+/g, "_")}.json`;
+}
+
+/** Parse + check a key file: the private key must derive the pubkey it claims (under the file's KEM). */
+export async function parseKeyFile(text) {
+  const k = JSON.parse(text);
+  if (k?.typ !== KEYFILE_TYP) throw new Error(`Not a key file (expected typ ${KEYFILE_TYP})`);
+  if (typeof k.rid !== "string" || !k.rid) throw new Error("Key file has no rid");
+  if (typeof k.recipientPrivHex !== "string") throw new Error("Key file has no recipientPrivHex");
+  const kem = getKem(k.kem).id;
+
+  const priv = hexToU8(k.recipientPrivHex);
+  if (priv.length !== 32) throw new Error("Key file recipientPrivHex must be 32 bytes");
+  const pubHex = await publicKeyOf(kem, k.recipientPrivHex);
+  if (k.recipientPubHex && normalizePubHex(kem, k.recipientPubHex) !== pubHex) {
+    throw new Error(`Key file for ${k.rid}: recipientPubHex does not match recipientPrivHex`);
+  }
+  return { rid: k.rid, kem, recipientPubHex: pubHex, recipientPrivHex: k.recipientPrivHex };
+}
+
+/** Public bundle + loaded key files → the shape decrypt expects (recipientPrivHexByRid). */
+export function attachKeyFiles(bundle, keyFiles) {
+  if (!keyFiles?.length) return bundle;
+  return {
+    ...bundle,
+    recipientPrivHexByRid: {
+      ...(bundle.recipientPrivHexByRid || {}),
+      ...Object.fromEntries(keyFiles.map((k) => [k.rid, k.recipientPrivHex])),
+    },
+  };
+}
@@ -0,0 +1,48 @@
+// src/lib/canonical.js
+// RFC 8785 (JCS) style canonical JSON, so equal values serialize to equal bytes:
+// - no whitespace, object keys sorted by UTF-16 code units (Array#sort default)
+// - strings and numbers as ECMAScript JSON.stringify writes them (shortest round-trip numbers, -0 → 0)
+// - values JSON cannot carry (NaN, Infinity, bigint, functions, symbols) are rejected, not coerced
+import { sha256 } from "@noble/hashes/sha2.js";
+
+import { u8ToHex } from "./format.js";
+
+export function canonicalize(value) {
+  if (value === null) return "null";
+  switch (typeof value) {
+    case "boolean":
+    case "string":
+      return JSON.stringify(value);
+    case "number":
+      if (!Number.isFinite(value)) throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+      return JSON.stringify(value);
+    case "object":
+      break;
+    default:
+      throw new Error(`Cannot canonicalize a ${typeof value}`);
+  }
+
+  // undefined array slots become null, undefined properties are dropped (as JSON.stringify does)
+  if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? "null" : canonicalize(v))).join(",")}]`;
+  const keys = Object.keys(value)
+    .filter((k) => value[k] !== undefined)
+    .sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(",")}}`;
+}
+
+export function canonicalBytes(value) {
+  return new TextEncoder().encode(canonicalize(value));
+}
+
+/**
+ * SHA-256 of the canonical envelope without its `sig` field: a stable id for dedup and references,
+ * and exactly what a sender signs (lib/signature.js).
+ */
+export function envelopeDigest(envelope) {
+  const { sig: _sig, ...unsigned } = envelope;
+  return sha256(canonicalBytes(unsigned));
+}
+
+export function envelopeFingerprint(envelope) {
+  return u8ToHex(envelopeDigest(envelope));
+}
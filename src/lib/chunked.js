@@ -0,0 +1,139 @@
+// src/lib/chunked.js
+// Chunked AEAD for large payloads (STREAM-style, one envelope.cipher AEAD per chunk: see lib/cipher.js).
+//
+// - nonce_i = baseNonce XOR (u32be(i) at bytes L-5..L-2) XOR (final ? 0x01 : 0x00 at byte L-1), L = nonce length
+// - aad_i   = aad || u32be(i) || u8(final)  -> index + final flag are bound into every tag
+// - ciphertext = ct_0 || ct_1 || ... ; ciphertextHash = sha3-256 over the whole stream
+//
+// Only one chunk is held in memory at a time; output is accumulated as a Blob.
+import { sha3_256 } from "@noble/hashes/sha3.js";
+
+import { b64urlToU8, u8ToB64url, u8ToHex } from "./format.js";
+import { DEFAULT_CIPHER, TAG_LENGTH, getCipher } from "./cipher.js";
+
+/** chunking.scheme per envelope.cipher */
+export const CHUNKED_SCHEMES = {
+  "AES-256-GCM": "PXP201-STREAM-AES-256-GCM-v1",
+  "XCHACHA20-POLY1305": "PXP201-STREAM-XCHACHA20-POLY1305-v1",
+};
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+export const MIN_CHUNK_SIZE = 1024;
+
+export function isChunkedEnvelope(envelope) {
+  return Object.values(CHUNKED_SCHEMES).includes(envelope?.chunking?.scheme);
+}
+
+export function chunkNonce(baseNonce, index, final) {
+  if (baseNonce.length !== 12 && baseNonce.length !== 24) throw new Error("base nonce must be 12 or 24 bytes");
+  const n = new Uint8Array(baseNonce);
+  const at = n.length - 5;
+  n[at] ^= (index >>> 24) & 0xff;
+  n[at + 1] ^= (index >>> 16) & 0xff;
+  n[at + 2] ^= (index >>> 8) & 0xff;
+  n[at + 3] ^= index & 0xff;
+  n[at + 4] ^= final ? 0x01 : 0x00;
+  return n;
+}
+
+export function chunkAad(aad, index, final) {
+  const base = aad || new Uint8Array(0);
+  const out = new Uint8Array(base.length + 5);
+  out.set(base, 0);
+  new DataView(out.buffer).setUint32(base.length, index, false);
+  out[base.length + 4] = final ? 1 : 0;
+  return out;
+}
+
+function chunkCountFor(size, chunkSize) {
+  return Math.max(1, Math.ceil(size / chunkSize));
+}
+
+/**
+ * Encrypt a Blob/File chunk by chunk.
+ * Returns the raw shape used elsewhere, with `ciphertext` as a Blob instead of b64url.
+ */
+export async function encryptChunked({
+  source,
+  cipher = DEFAULT_CIPHER,
+  aadText,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  dek,
+  nonce,
+  onProgress,
+}) {
+  if (!(source instanceof Blob)) throw new Error("source must be a Blob or File");
+  if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE) {
+    throw new Error(`chunkSize must be an integer >= ${MIN_CHUNK_SIZE}`);
+  }
+
+  const c = getCipher(cipher);
+  const key32 = dek ?? crypto.getRandomValues(new Uint8Array(32));
+  const baseNonce = nonce ?? crypto.getRandomValues(new Uint8Array(c.nonceLength));
+  const aad = aadText ? new TextEncoder().encode(aadText) : undefined;
+  const key = await c.importKey(key32, ["encrypt"]);
+
+  const chunkCount = chunkCountFor(source.size, chunkSize);
+  const hasher = sha3_256.create();
+  let out = new Blob([]);
+
+  for (let i = 0; i < chunkCount; i++) {
+    const final = i === chunkCount - 1;
+    const pt = new Uint8Array(await source.slice(i * chunkSize, (i + 1) * chunkSize).arrayBuffer());
+    const ct = await c.seal(key, chunkNonce(baseNonce, i, final), pt, chunkAad(aad, i, final));
+    hasher.update(ct);
+    out = new Blob([out, ct]);
+    onProgress?.({ done: Math.min((i + 1) * chunkSize, source.size), total: source.size });
+  }
+
+  return {
+    dek: key32,
+    ciphertext: out,
+    nonceB64url: u8ToB64url(baseNonce),
+    ciphertextHash: u8ToHex(hasher.digest()),
+    ...(aad ? { aadHash: u8ToHex(sha3_256(aad)) } : {}),
+    chunking: { scheme: CHUNKED_SCHEMES[c.id], chunkSize, chunkCount },
+  };
+}
+
+/**
+ * Decrypt a chunked ciphertext Blob described by `envelope.chunking`.
+ * Every chunk is authenticated on its own; the stream hash is checked before the plaintext is returned.
+ */
+export async function decryptChunked({ envelope, dek, ciphertext, nonceB64url, aadText, mime, onProgress }) {
+  if (!isChunkedEnvelope(envelope)) throw new Error("envelope is not chunked");
+  if (!(ciphertext instanceof Blob)) throw new Error("ciphertext must be a Blob or File");
+
+  const c = getCipher(envelope.cipher);
+  const { scheme, chunkSize, chunkCount } = envelope.chunking;
+  if (scheme !== CHUNKED_SCHEMES[c.id]) throw new Error(`chunking scheme ${scheme} does not match cipher ${c.id}`);
+  const ctChunk = chunkSize + TAG_LENGTH;
+  const expectedMin = (chunkCount - 1) * ctChunk + TAG_LENGTH;
+  const expectedMax = chunkCount * ctChunk;
+  if (ciphertext.size < expectedMin || ciphertext.size > expectedMax) {
+    throw new Error(`ciphertext size ${ciphertext.size} does not match ${chunkCount} chunk(s) of ${chunkSize}`);
+  }
+
+  const baseNonce = b64urlToU8(nonceB64url);
+  const aad = aadText ? new TextEncoder().encode(aadText) : undefined;
+  const key = await c.importKey(dek, ["decrypt"]);
+
+  const hasher = sha3_256.create();
+  let out = new Blob([], { type: mime || "" });
+
+  for (let i = 0; i < chunkCount; i++) {
+    const final = i === chunkCount - 1;
+    const ct = new Uint8Array(await ciphertext.slice(i * ctChunk, (i + 1) * ctChunk).arrayBuffer());
+    hasher.update(ct);
+    let pt;
+    try {
+      pt = await c.open(key, chunkNonce(baseNonce, i, final), ct, chunkAad(aad, i, final));
+    } catch {
+      throw new Error(`chunk ${i + 1}/${chunkCount} failed authentication`);
+    }
+    out = new Blob([out, pt], { type: mime || "" });
+    onProgress?.({ done: Math.min((i + 1) * ctChunk, ciphertext.size), total: ciphertext.size });
+  }
+
+  if (u8ToHex(hasher.digest()) !== envelope.ciphertextHash) throw new Error("ciphertextHash mismatch");
+  return out;
+}
@@ -0,0 +1,63 @@
+// src/lib/cipher.js
+// Payload cipher registry, keyed by envelope.cipher (the two the SDK's validateEnvelope accepts):
+// - AES-256-GCM: WebCrypto, 96-bit random nonce (collisions become likely past ~2^32 messages under one key)
+// - XCHACHA20-POLY1305: @noble/ciphers (pure JS), 192-bit random nonce, so random nonces are safe at any volume
+//
+// Both: 32-byte DEK, 16-byte tag appended to the ciphertext, the AAD bound into the tag.
+// A tag failure surfaces as WebCrypto's OperationError (GCM) or a "failed authentication" error (XChaCha20).
+import { xchacha20poly1305 } from "@noble/ciphers/chacha.js";
+
+import { importAesKey, requireSubtle } from "./webcrypto.js";
+
+export const DEFAULT_CIPHER = "AES-256-GCM";
+export const TAG_LENGTH = 16;
+
+const gcmParams = (nonce, aad) => ({
+  name: "AES-GCM",
+  iv: nonce,
+  ...(aad ? { additionalData: aad } : {}),
+  tagLength: 128,
+});
+
+const aesGcm = {
+  id: DEFAULT_CIPHER,
+  label: "AES-256-GCM",
+  nonceLength: 12,
+  importKey: (dek, usages) => importAesKey(dek, usages),
+  async seal(key, nonce, bytes, aad) {
+    return new Uint8Array(await requireSubtle().encrypt(gcmParams(nonce, aad), key, bytes));
+  },
+  async open(key, nonce, ciphertext, aad) {
+    return new Uint8Array(await requireSubtle().decrypt(gcmParams(nonce, aad), key, ciphertext));
+  },
+};
+
+const xchacha = {
+  id: "XCHACHA20-POLY1305",
+  label: "XChaCha20-Poly1305",
+  nonceLength: 24,
+  // no key object to import: the DEK bytes are the key
+  async importKey(dek) {
+    if (!(dek instanceof Uint8Array) || dek.length !== 32) throw new Error("DEK must be 32 bytes");
+    return dek;
+  },
+  async seal(key, nonce, bytes, aad) {
+    return xchacha20poly1305(key, nonce, aad).encrypt(bytes);
+  },
+  async open(key, nonce, ciphertext, aad) {
+    try {
+      return xchacha20poly1305(key, nonce, aad).decrypt(ciphertext);
+    } catch {
+      throw new Error("XChaCha20-Poly1305 ciphertext failed authentication");
+    }
+  },
+};
+
+/** Registered payload ciphers, in UI order. */
+export const CIPHERS = [aesGcm, xchacha];
+
+export function getCipher(id) {
+  const cipher = CIPHERS.find((c) => c.id === (id || DEFAULT_CIPHER));
+  if (!cipher) throw new Error(`Unsupported cipher: ${id}`);
+  return cipher;
+}
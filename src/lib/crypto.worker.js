@@ -0,0 +1,30 @@
+// src/lib/crypto.worker.js
+// Runs jobs from jobs.js off the main thread. Protocol:
+//   in:  { id, type, params }
+//   out: { id, kind: "progress", progress } | { id, kind: "result", result } | { id, kind: "error", error, hashes? }
+// (hashes: the recomputed hashes a mismatch error carries, see decryptJob)
+import { ensureNodeGlobals } from "../polyfills.js";
+import { jobs } from "./jobs.js";
+
+const ready = ensureNodeGlobals();
+
+self.onmessage = async (e) => {
+  const { id, type, params } = e.data || {};
+  try {
+    await ready;
+    const job = jobs[type];
+    if (!job) throw new Error(`Unknown job: ${type}`);
+
+    const result = await job(params, {
+      progress: (progress) => self.postMessage({ id, kind: "progress", progress }),
+    });
+    self.postMessage({ id, kind: "result", result });
+  } catch (err) {
+    self.postMessage({
+      id,
+      kind: "error",
+      error: String(err?.message || err),
+      ...(err?.hashes ? { hashes: err.hashes } : {}),
+    });
+  }
+};
@@ -0,0 +1,74 @@
+// src/lib/cryptoService.js
+// Main-thread client for crypto.worker.js.
+// One job at a time across all tabs: starting a job cancels the previous one, so a stale
+// result can never land in the UI. Cancel terminates the worker (a real abort, not a flag).
+
+export class CryptoJobCancelled extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "CryptoJobCancelled";
+  }
+}
+
+export function isCancelled(e) {
+  return e instanceof CryptoJobCancelled;
+}
+
+export function createCryptoService({ createWorker }) {
+  let worker = null;
+  let seq = 0;
+  let current = null; // { id, resolve, reject, onProgress }
+
+  const settle = (fn, value) => {
+    const job = current;
+    current = null;
+    if (job) job[fn](value);
+  };
+
+  const spawn = () => {
+    worker = createWorker();
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (!current || msg.id !== current.id) return;
+
+      if (msg.kind === "progress") current.onProgress?.(msg.progress);
+      else if (msg.kind === "result") settle("resolve", msg.result);
+      else {
+        const err = new Error(msg.error || "Worker job failed");
+        if (msg.hashes) err.hashes = msg.hashes;
+        settle("reject", err);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      worker?.terminate();
+      worker = null;
+      settle("reject", new Error(e.message || "Crypto worker crashed"));
+    };
+  };
+
+  const cancel = () => {
+    if (!current) return false;
+    worker?.terminate();
+    worker = null;
+    settle("reject", new CryptoJobCancelled());
+    return true;
+  };
+
+  const run = (type, params, { onProgress } = {}) => {
+    cancel();
+    if (!worker) spawn();
+
+    const id = ++seq;
+    return new Promise((resolve, reject) => {
+      current = { id, resolve, reject, onProgress };
+      worker.postMessage({ id, type, params });
+    });
+  };
+
+  return { run, cancel, isBusy: () => current !== null };
+}
+
+export const cryptoService = createCryptoService({
+  createWorker: () => new Worker(new URL("./crypto.worker.js", import.meta.url), { type: "module" }),
+});
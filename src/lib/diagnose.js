@@ -0,0 +1,134 @@
+// src/lib/diagnose.js
+// Say why a decrypt fails instead of surfacing the raw AEAD error:
+// - "AAD mismatch": the supplied AAD does not hash to envelope.aadHash (checked before any crypto)
+// - "Wrong private key": the key does not open the wrapped DEK
+// - "Ciphertext tampered": right key and AAD, yet the wrapped key or the payload fails authentication
+// - "Ciphertext mismatch": the supplied ciphertext does not hash to envelope.ciphertextHash (checked before any crypto)
+import { hashBlobHex, hashHex } from "./payload.js";
+import { decodeDidKey } from "./did.js";
+import { DEFAULT_KEM, normalizePubHex, parseWk1, publicKeyOf, unwrapDEK } from "./kem.js";
+
+// AEAD tag failures: WebCrypto's OperationError, or the "failed authentication" errors of cipher.js / chunked.js
+function isAuthFailure(e) {
+  return e?.name === "OperationError" || /failed authentication/.test(e?.message || "");
+}
+
+export function aadHashOf(aadText) {
+  return aadText ? hashHex(new TextEncoder().encode(aadText)) : undefined;
+}
+
+/** Throws "AAD mismatch" unless the AAD hashes to `aadHash` (an envelope without aadHash had no AAD). */
+export function assertAadMatches(aadHash, aadText) {
+  const supplied = aadHashOf(aadText);
+  if (supplied === aadHash) return;
+  if (!aadHash) throw new Error("AAD mismatch: the envelope was encrypted without AAD, clear the AAD field");
+  if (!supplied) throw new Error(`AAD mismatch: the envelope is bound to an AAD (aadHash ${aadHash}), none supplied`);
+  throw new Error(`AAD mismatch: the supplied AAD hashes to ${supplied}, the envelope expects aadHash ${aadHash}`);
+}
+
+/**
+ * Recompute both hashes from what was actually supplied: the ciphertext bytes (Uint8Array, or a Blob hashed
+ * in slices) and the AAD, next to what envelope and bundle raw claim. null = absent (no AAD, no raw hash).
+ * → { ciphertext: row, aad: row }, row = { computed, claimed, bundle, match, bundleMatch }
+ *   match: computed = envelope's claim; bundleMatch: raw's claim (when there is one) = envelope's claim
+ */
+export async function recomputeHashes({ envelope, raw, ciphertext, aadText, onProgress }) {
+  const row = (computed, claimed = null, bundle = null) => ({
+    computed,
+    claimed,
+    bundle,
+    match: computed === claimed,
+    bundleMatch: bundle === null || bundle === claimed,
+  });
+  const computed = ciphertext instanceof Blob ? await hashBlobHex(ciphertext, { onProgress }) : hashHex(ciphertext);
+  return {
+    ciphertext: row(computed, envelope.ciphertextHash, raw?.ciphertextHash),
+    aad: row(aadHashOf(aadText) ?? null, envelope.aadHash, raw?.aadHash),
+  };
+}
+
+/** Throws, with both values, when the supplied ciphertext or AAD is not the one the envelope commits to. */
+export function assertHashes(hashes, aadText) {
+  const { ciphertext, aad } = hashes;
+  if (!ciphertext.match) {
+    throw new Error(
+      `Ciphertext mismatch: the supplied ciphertext hashes to ${ciphertext.computed}, ` +
+        `envelope.ciphertextHash is ${ciphertext.claimed} (swapped or corrupted ciphertext)`
+    );
+  }
+  if (!aad.match) assertAadMatches(aad.claimed, aadText);
+}
+
+/** Best known `kem` pubkey for a rid: the bundle's key map, else a (secp256k1) did:key rid. null = unknown. */
+export function expectedPubHex(bundle, rid, kem = DEFAULT_KEM) {
+  const known =
+    bundle?.recipientPubHexByRid?.[rid] || (bundle?.recipient?.rid === rid ? bundle.recipient.recipientPubHex : "");
+  try {
+    if (known) return normalizePubHex(kem, known);
+    if (kem === DEFAULT_KEM && rid?.startsWith("did:key:")) return decodeDidKey(rid);
+  } catch {
+    // unusable hint: diagnose without it
+  }
+  return null;
+}
+
+/** The kid a wk1 wrapped key carries (the rid it was wrapped for), or null. */
+export function wrappedKeyKid(wrappedKey) {
+  try {
+    const { kid } = parseWk1(wrappedKey);
+    return typeof kid === "string" ? kid : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * unwrapDEK (lib/kem.js), with tag failures turned into "Wrong private key" / "Ciphertext tampered" / "AAD mismatch".
+ * `aadChecked`: the AAD was already verified against envelope.aadHash.
+ * `expectedPub`: the rid's known pubkey (tells a wrong key from a damaged wrapped key).
+ */
+export async function unwrapDiagnosed({ kem, wrappedKey, privHex, aadText, rid, aadChecked, expectedPub }) {
+  try {
+    return await unwrapDEK({ kem, wrappedKey, privHex, aadText });
+  } catch (e) {
+    if (!isAuthFailure(e)) throw e;
+
+    const who = rid ? ` for ${rid}` : "";
+    const pub = await publicKeyOf(kem, privHex);
+    if (expectedPub && pub.toLowerCase() !== expectedPub.toLowerCase()) {
+      throw new Error(`Wrong private key: it belongs to ${pub}, the wrapped key${who} is for ${expectedPub}`);
+    }
+    if (expectedPub && aadChecked) {
+      throw new Error(`Ciphertext tampered: the wrapped key${who} fails authentication with the right key and AAD`);
+    }
+    if (expectedPub) {
+      throw new Error(`AAD mismatch: the private key is right, so the wrapped key${who} was bound to another AAD`);
+    }
+    throw new Error(
+      `Wrong private key: it does not open the wrapped key${who}` +
+        (aadChecked ? "" : " (if the key is right, check the AAD)")
+    );
+  }
+}
+
+/**
+ * Payload decrypt after a successful unwrap: key and AAD are right, so a tag or hash failure means tampering.
+ * `combined`: the DEK was rebuilt from THRESHOLD shares, and the ciphertext hash already matched, so a tag
+ * failure means the shares are not from one split.
+ */
+export async function decryptDiagnosed(fn, { combined = false } = {}) {
+  try {
+    return await fn();
+  } catch (e) {
+    if (/ciphertextHash mismatch/.test(e?.message || "")) {
+      throw new Error("Ciphertext tampered: the ciphertext does not hash to envelope.ciphertextHash");
+    }
+    if (combined && isAuthFailure(e)) {
+      throw new Error("Shares do not combine to the DEK: at least one share is from another split or was replaced");
+    }
+    if (isAuthFailure(e)) {
+      throw new Error(`Ciphertext tampered: ${e.name === "OperationError" ? "authentication failed" : e.message}`);
+    }
+    throw e;
+  }
+}
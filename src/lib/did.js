@@ -0,0 +1,167 @@
+// src/lib/did.js
+// Recipient DIDs → secp256k1 public keys.
+// - did:key (multibase base58btc, multicodec secp256k1-pub 0xe7) is decoded locally
+// - anything else goes through pluggable resolvers, e.g. a local JSON registry
+// - did:pkh:eip155 rids are cross-checked against the pubkey's Ethereum address
+import * as secp from "@noble/secp256k1";
+import { keccak_256 } from "@noble/hashes/sha3.js";
+
+import { hexToU8, u8ToHex } from "./format.js";
+
+const B58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const SECP256K1_PUB = [0xe7, 0x01]; // varint(0xe7)
+
+export function base58Decode(s) {
+  let n = 0n;
+  for (const c of s) {
+    const v = B58.indexOf(c);
+    if (v < 0) throw new Error(`Invalid base58 character: ${c}`);
+    n = n * 58n + BigInt(v);
+  }
+  const bytes = [];
+  while (n > 0n) {
+    bytes.unshift(Number(n & 0xffn));
+    n >>= 8n;
+  }
+  for (const c of s) {
+    if (c !== "1") break;
+    bytes.unshift(0);
+  }
+  return new Uint8Array(bytes);
+}
+
+export function base58Encode(bytes) {
+  let n = 0n;
+  for (const b of bytes) n = (n << 8n) | BigInt(b);
+  let out = "";
+  while (n > 0n) {
+    out = B58[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (const b of bytes) {
+    if (b !== 0) break;
+    out = "1" + out;
+  }
+  return out;
+}
+
+export function decodeDidKey(did) {
+  if (typeof did !== "string" || !did.startsWith("did:key:z")) throw new Error("Not a base58btc did:key");
+  const bytes = base58Decode(did.slice("did:key:z".length));
+  if (bytes[0] !== SECP256K1_PUB[0] || bytes[1] !== SECP256K1_PUB[1]) {
+    throw new Error("did:key is not a secp256k1 key (multicodec 0xe7)");
+  }
+  const pub = bytes.slice(2);
+  if (pub.length !== 33) throw new Error("did:key secp256k1 key must be 33 bytes compressed");
+  secp.Point.fromBytes(pub); // throws if not on the curve
+  return u8ToHex(pub);
+}
+
+export function encodeDidKey(pubHex) {
+  const pub = compressPubHex(pubHex);
+  return "did:key:z" + base58Encode(new Uint8Array([...SECP256K1_PUB, ...hexToU8(pub)]));
+}
+
+export function parseDidPkh(did) {
+  const m = /^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})$/.exec(did || "");
+  return m ? { chainId: Number(m[1]), address: m[2] } : null;
+}
+
+export function compressPubHex(pubHex) {
+  return u8ToHex(secp.Point.fromBytes(hexToU8(pubHex)).toBytes(true));
+}
+
+export function pubkeyToEthAddress(pubHex) {
+  const uncompressed = secp.Point.fromBytes(hexToU8(pubHex)).toBytes(false);
+  return u8ToHex(keccak_256(uncompressed.slice(1)).slice(-20));
+}
+
+// --- resolvers: { name, resolve(did) -> Promise<pubHex | null> } ---
+
+export const didKeyResolver = {
+  name: "did:key",
+  async resolve(did) {
+    return did.startsWith("did:key:") ? decodeDidKey(did) : null;
+  },
+};
+
+function pubFromDidDocument(doc) {
+  for (const vm of doc?.verificationMethod || []) {
+    if (typeof vm.publicKeyHex === "string") return vm.publicKeyHex;
+    if (typeof vm.publicKeyMultibase === "string" && vm.publicKeyMultibase.startsWith("z")) {
+      return decodeDidKey(`did:key:${vm.publicKeyMultibase}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Local registry resolver. Accepts `{ [did]: "0x02..." }`, `{ [did]: { publicKeyHex } }`,
+ * `{ [did]: <DID document> }` or an array of DID documents (matched on `id`).
+ */
+export function registryResolver(registry) {
+  const entries = Array.isArray(registry)
+    ? Object.fromEntries(registry.filter((d) => d?.id).map((d) => [d.id, d]))
+    : registry || {};
+
+  return {
+    name: "registry",
+    async resolve(did) {
+      const v = entries[did];
+      if (!v) return null;
+      if (typeof v === "string") return compressPubHex(v);
+      if (typeof v.publicKeyHex === "string") return compressPubHex(v.publicKeyHex);
+      const pub = pubFromDidDocument(v);
+      return pub ? compressPubHex(pub) : null;
+    },
+  };
+}
+
+export function createDidResolver(resolvers = [didKeyResolver]) {
+  return {
+    async resolve(did) {
+      for (const r of resolvers) {
+        const pubHex = await r.resolve(did);
+        if (pubHex) return { pubHex, source: r.name };
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Check a recipient row (rid + pubkey) against what the rid says.
+ * status: "ok" | "mismatch" | "unverified"
+ */
+export async function checkRecipientDid({ rid, recipientPubHex }, resolver) {
+  if (!recipientPubHex) return { status: "unverified", detail: "no pubkey" };
+
+  let pub;
+  try {
+    pub = compressPubHex(recipientPubHex);
+  } catch {
+    return { status: "mismatch", detail: "pubkey is not a valid secp256k1 point" };
+  }
+
+  let resolved;
+  try {
+    resolved = await resolver.resolve(rid);
+  } catch (e) {
+    return { status: "mismatch", detail: String(e?.message || e) };
+  }
+  if (resolved) {
+    return resolved.pubHex.toLowerCase() === pub.toLowerCase()
+      ? { status: "ok", detail: `matches ${resolved.source}` }
+      : { status: "mismatch", detail: `pubkey differs from ${resolved.source}` };
+  }
+
+  const pkh = parseDidPkh(rid);
+  if (pkh) {
+    const addr = pubkeyToEthAddress(pub);
+    return addr.toLowerCase() === pkh.address.toLowerCase()
+      ? { status: "ok", detail: "pubkey matches did:pkh address" }
+      : { status: "mismatch", detail: `pubkey address ${addr} ≠ rid address` };
+  }
+
+  return { status: "unverified", detail: "rid cannot be resolved" };
+}
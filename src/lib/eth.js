@@ -0,0 +1,87 @@
+// src/lib/eth.js
+// Recipient onboarding from an Ethereum wallet: the recipient signs a challenge with
+// EIP-191 `personal_sign`, and the compressed secp256k1 pubkey is recovered from the signature.
+import * as secp from "@noble/secp256k1";
+import { keccak_256 } from "@noble/hashes/sha3.js";
+
+import { hexToU8, u8ToHex } from "./format.js";
+import { parseDidPkh, pubkeyToEthAddress } from "./did.js";
+
+// keccak256("\x19Ethereum Signed Message:\n" + len(message) + message)
+export function personalMessageHash(message) {
+  const msg = new TextEncoder().encode(message);
+  const prefix = new TextEncoder().encode(`\x19Ethereum Signed Message:\n${msg.length}`);
+  const buf = new Uint8Array(prefix.length + msg.length);
+  buf.set(prefix, 0);
+  buf.set(msg, prefix.length);
+  return keccak_256(buf);
+}
+
+export function onboardingChallenge({ rid, nonce = u8ToHex(crypto.getRandomValues(new Uint8Array(16))), issuedAt }) {
+  return [
+    "PXP-201 recipient onboarding",
+    "",
+    "Sign this message to share your encryption public key. It does not authorize any transaction.",
+    "",
+    `Recipient: ${rid}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date((issuedAt ?? Date.now() / 1000) * 1000).toISOString()}`,
+  ].join("\n");
+}
+
+/**
+ * Accepts a bare 65-byte hex signature or a wallet "signed message" JSON export
+ * (`{ address, msg, sig }`, as produced by MyEtherWallet / MyCrypto and friends).
+ */
+export function parseSignatureImport(text) {
+  const t = (text || "").trim();
+  if (!t) throw new Error("Signature required");
+  if (t.startsWith("{")) {
+    const j = JSON.parse(t);
+    const sig = j.sig || j.signature;
+    if (typeof sig !== "string") throw new Error("Signed message JSON has no sig/signature");
+    const message = j.msg ?? j.message;
+    return { signature: sig, message: typeof message === "string" ? message : undefined, address: j.address };
+  }
+  return { signature: t };
+}
+
+export function recoverPersonalSignPubkey(message, signatureHex) {
+  const sig = hexToU8(signatureHex.trim());
+  if (sig.length !== 65) throw new Error("Signature must be 65 bytes (r || s || v)");
+
+  const v = sig[64];
+  const recovery = v >= 27 ? v - 27 : v;
+  if (recovery !== 0 && recovery !== 1) throw new Error(`Unsupported signature v: ${v}`);
+
+  // noble 'recovered' format is recovery || r || s
+  const recovered = new Uint8Array(65);
+  recovered[0] = recovery;
+  recovered.set(sig.slice(0, 64), 1);
+
+  const pub = secp.recoverPublicKey(recovered, personalMessageHash(message), { prehash: false });
+  return u8ToHex(pub);
+}
+
+/**
+ * Full onboarding check: recover the pubkey and require it to match the did:pkh address of the rid.
+ */
+export function onboardFromSignature({ rid, message, signatureText }) {
+  const pkh = parseDidPkh(rid);
+  if (!pkh) throw new Error("rid must be a did:pkh:eip155:<chainId>:0x… address to onboard from a signature");
+
+  const imported = parseSignatureImport(signatureText);
+  if (imported.message !== undefined && imported.message !== message) {
+    throw new Error("Signed message does not match the challenge");
+  }
+
+  const pubHex = recoverPersonalSignPubkey(message, imported.signature);
+  const address = pubkeyToEthAddress(pubHex);
+  if (address.toLowerCase() !== pkh.address.toLowerCase()) {
+    throw new Error(`Signature is from ${address}, not the rid address ${pkh.address}`);
+  }
+  if (imported.address && imported.address.toLowerCase() !== address) {
+    throw new Error(`Signed message JSON claims ${imported.address} but the signature is from ${address}`);
+  }
+  return { pubHex, address };
+}
@@ -0,0 +1,59 @@
+// src/lib/idb.js
+// Minimal promise wrappers around IndexedDB (one database, several object stores).
+const DB_NAME = "pxp201-ui";
+const DB_VERSION = 2;
+const STORES = ["ciphertexts", "keyring"];
+
+let dbPromise = null;
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function openDb() {
+  if (!globalThis.indexedDB) return Promise.reject(new Error("IndexedDB not available"));
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const name of STORES) {
+        if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+      }
+    };
+    dbPromise = reqToPromise(req).catch((e) => {
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(store, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(store, mode);
+  const result = await reqToPromise(fn(tx.objectStore(store)));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+  return result;
+}
+
+export function idbGet(store, key) {
+  return withStore(store, "readonly", (s) => s.get(key));
+}
+
+export function idbPut(store, key, value) {
+  return withStore(store, "readwrite", (s) => s.put(value, key));
+}
+
+export function idbDelete(store, key) {
+  return withStore(store, "readwrite", (s) => s.delete(key));
+}
+
+export function idbKeys(store) {
+  return withStore(store, "readonly", (s) => s.getAllKeys());
+}
@@ -0,0 +1,147 @@
+// src/lib/importer.js
+// One import pipeline for whatever lands in a Bundle JSON editor (paste, file drop, clipboard):
+// sniff what the text is, convert it to the bundle model, and say what is still missing to decrypt.
+//
+// bundle model = the multi-recipient bundle (Encrypt → "Download bundle", lib/schema.js "bundle"):
+//   { aadText, raw, envelope, recipientPubHexByRid?, recipientPrivHexByRid?, dekHex? }
+// - bundle: kept as is
+// - legacy-bundle, vector: recipient / rid keys move into the rid → key maps
+// - envelope: wrapped in a bundle with an empty raw (the nonce and ciphertext travel outside the envelope)
+// - wk1: a lone wrapped key, no bundle (WK1 tab material)
+// - keyfile: a recipient key file, no bundle (callers check it with lib/bundle.js parseKeyFile)
+import { KEYFILE_TYP } from "./bundle.js";
+import { entryKem, parseWk1 } from "./kem.js";
+import { isPassphraseEntry } from "./passphrase.js";
+
+export const IMPORT_KINDS = {
+  bundle: "bundle",
+  "legacy-bundle": "legacy single-recipient bundle",
+  vector: "test vector",
+  envelope: "bare envelope",
+  wk1: "wk1 wrapped key",
+  keyfile: "recipient key file",
+};
+
+const WK1_RE = /^pxp201:wk1:[A-Za-z0-9_-]+$/;
+
+/** Text → `{ kind, value }` (value = the parsed JSON or the wk1 string); throws when it is none of IMPORT_KINDS. */
+export function sniffInput(text) {
+  const trimmed = String(text ?? "").trim();
+  if (!trimmed) throw new Error("Nothing to import");
+  if (WK1_RE.test(trimmed)) return { kind: "wk1", value: trimmed };
+
+  let value;
+  try {
+    value = JSON.parse(trimmed);
+  } catch (e) {
+    throw new Error(`Not JSON, nor a pxp201:wk1: key (${String(e?.message || e)})`);
+  }
+  if (typeof value === "string" && WK1_RE.test(value.trim())) return { kind: "wk1", value: value.trim() };
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("Expected a JSON object");
+
+  if (value.typ === KEYFILE_TYP) return { kind: "keyfile", value };
+  if (value.recipient !== undefined) return { kind: "legacy-bundle", value };
+  if (value.rid !== undefined && value.wrappedKey !== undefined) return { kind: "vector", value };
+  if (value.envelope !== undefined) return { kind: "bundle", value };
+  if (value.typ === "PXP201") return { kind: "envelope", value };
+  throw new Error("Unrecognized JSON: expected a bundle, vector, envelope or key file (no envelope / typ field)");
+}
+
+function pickRaw(raw) {
+  if (!raw || typeof raw !== "object") return {};
+  const { ciphertextB64url, ciphertextFile, nonceB64url, ciphertextHash, aadHash, dekHex } = raw;
+  return Object.fromEntries(
+    Object.entries({ ciphertextB64url, ciphertextFile, nonceB64url, ciphertextHash, aadHash, dekHex }).filter(
+      ([, v]) => v !== undefined
+    )
+  );
+}
+
+const keyMap = (rid, hex) => (rid && hex ? { [rid]: hex } : undefined);
+
+function toBundle(kind, value, notes) {
+  if (kind === "bundle") return value;
+  if (kind === "envelope") return { aadText: "", raw: {}, envelope: value };
+
+  // legacy bundle / vector: one recipient, named by recipient.rid or rid
+  const legacy = kind === "legacy-bundle";
+  const rid = legacy ? value.recipient?.rid : value.rid;
+  const pubHex = legacy ? value.recipient?.recipientPubHex : value.recipientPubHex;
+  const privHex = legacy ? value.recipient?.recipientPrivHex : value.recipientPrivHex;
+  const recips = value.envelope?.access?.recipients || [];
+  if (value.wrappedKey && !recips.some((r) => r.wrappedKey === value.wrappedKey)) {
+    notes.push("its wrappedKey is not in envelope.access.recipients and was dropped");
+  }
+
+  const pubs = keyMap(rid, pubHex);
+  const privs = keyMap(rid, privHex);
+  return {
+    aadText: typeof value.aadText === "string" ? value.aadText : "",
+    raw: pickRaw(value.raw),
+    envelope: value.envelope,
+    ...(pubs ? { recipientPubHexByRid: pubs } : {}),
+    ...(privs ? { recipientPrivHexByRid: privs } : {}),
+    ...(typeof value.dekHex === "string" ? { dekHex: value.dekHex } : {}),
+  };
+}
+
+/**
+ * What a bundle still lacks before Decrypt can run (key files / keyring keys may fill the last one).
+ * `hasCiphertext`: the caller holds the ciphertext already (a loaded ciphertext file).
+ */
+export function missingForDecrypt(bundle, { hasCiphertext = false } = {}) {
+  const missing = [];
+  const { raw, envelope } = bundle || {};
+  if (!envelope || typeof envelope !== "object") return ["envelope"];
+  if (!raw?.nonceB64url) missing.push("raw.nonceB64url (the nonce is not in the envelope)");
+  if (!raw?.ciphertextB64url && !hasCiphertext) {
+    missing.push(
+      raw?.ciphertextFile
+        ? `ciphertext file ${raw.ciphertextFile} (or a storage backend for envelope.uri)`
+        : "ciphertext (raw.ciphertextB64url, or a storage backend for envelope.uri)"
+    );
+  }
+  if (envelope.aadHash && !bundle.aadText) missing.push("aadText (envelope.aadHash is set)");
+
+  const recips = envelope.access?.recipients || [];
+  const privs = bundle.recipientPrivHexByRid || {};
+  if (!recips.some((r) => privs[r.rid] || isPassphraseEntry(r))) {
+    missing.push("a recipient private key (key file, keyring or a demo bundle)");
+  }
+  return missing;
+}
+
+/**
+ * Sniff + convert → `{ kind, label, bundle, wrappedKey, missing, notes }`:
+ * - bundle: the bundle model (null for wk1 / keyfile)
+ * - wrappedKey: `{ wrappedKey, kid, kem }` for a lone wk1 key
+ * - missing: what Decrypt still needs; notes: what the conversion changed or dropped
+ * Throws on text that is none of IMPORT_KINDS.
+ */
+export function importInput(text) {
+  const { kind, value } = sniffInput(text);
+  const out = { kind, label: IMPORT_KINDS[kind], bundle: null, wrappedKey: null, missing: [], notes: [] };
+
+  if (kind === "wk1") {
+    const { kid } = parseWk1(value);
+    const kem = entryKem({ wrappedKey: value });
+    out.wrappedKey = { wrappedKey: value, kid: typeof kid === "string" ? kid : "", kem };
+    out.missing = ["envelope", "raw (nonce + ciphertext)"];
+    return out;
+  }
+  if (kind === "keyfile") {
+    out.missing = ["a bundle (this is a key: load it next to one)"];
+    return out;
+  }
+
+  out.bundle = toBundle(kind, value, out.notes);
+  out.missing = missingForDecrypt(out.bundle);
+  return out;
+}
+
+/** One-line summary of an import: what was detected, what is missing. */
+export function describeImport(imp) {
+  const missing = imp.missing.length ? `; missing: ${imp.missing.join(", ")}` : "; ready to decrypt";
+  const notes = imp.notes.length ? ` (${imp.notes.join("; ")})` : "";
+  return `Detected ${imp.label}${notes}${missing}`;
+}
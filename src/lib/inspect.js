@@ -0,0 +1,303 @@
+// src/lib/inspect.js
+// Envelope / bundle linter for the Inspector tab: every problem at once, where validateEnvelope stops
+// at its first throw. Structural only: nothing is unwrapped or decrypted, so no key is needed.
+//
+// Structure (required fields, types, constants, patterns) comes from the lib/schema.js schemas;
+// this module adds what a schema cannot say: unknown fields, duplicates, clocks, kem / alg agreement,
+// kid vs rid, hash copies, private keys left in a bundle. It skips values the schema already rejects.
+//
+// finding = { severity, path, message }, path = JSON pointer (RFC 6901) into the pasted document
+// - error: the SDK or this UI refuses the document
+// - warning: accepted, but probably a mistake (kid ≠ rid, unknown fields, createdAt in the future…)
+// - info: worth knowing (passphrase entries, a signature, private keys in a bundle…)
+import { b64urlToU8, nowUnix } from "./format.js";
+import { KEMS, getKem, parseWk1 } from "./kem.js";
+import { CIPHERS } from "./cipher.js";
+import { CHUNKED_SCHEMES } from "./chunked.js";
+import { PW1_PREFIX, isPassphraseEntry, validatePassphraseEntry } from "./passphrase.js";
+import { validateEnvelopeAny } from "./threshold.js";
+import { uriToCid } from "./storage.js";
+import { iso } from "./validity.js";
+import { getSchema, jsonPointer, schemaFor, validateSchema } from "./schema.js";
+
+export const SEVERITIES = ["error", "warning", "info"];
+
+const ENVELOPE_SCHEMA = getSchema("envelope").schema;
+const ACCESS_SCHEMA = ENVELOPE_SCHEMA.properties.access;
+const ENTRY_SCHEMA = ACCESS_SCHEMA.properties.recipients.items;
+// documents with an envelope field
+const BUNDLE_SCHEMAS = ["bundle", "legacy-bundle", "vector"];
+
+// unix seconds past this are most likely milliseconds
+const MAX_PLAUSIBLE_UNIX = 1e11;
+const CLOCK_SKEW = 300;
+
+const fieldsOf = (schema) => Object.keys(schema?.properties || {});
+
+function kindOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function createReport() {
+  const findings = [];
+  const schemaErrors = [];
+  const add = (severity) => (path, message) => findings.push({ severity, path, message });
+  return {
+    findings,
+    error: add("error"),
+    warning: add("warning"),
+    info: add("info"),
+    // structural errors, from validateSchema
+    schema(errors) {
+      schemaErrors.push(...errors);
+      for (const { path, message } of errors) findings.push({ severity: "error", path, message });
+    },
+    // the schema rejected the value at `path` (or something inside it): semantic checks leave it alone
+    rejected: (path) => schemaErrors.some((e) => e.path === path || e.path.startsWith(path + "/")),
+  };
+}
+
+// a value present and accepted by the schema
+const usable = (r, obj, base, key) => obj?.[key] !== undefined && !r.rejected(jsonPointer(base, key));
+
+function unknownFields(r, obj, base, known, severity = "warning") {
+  for (const key of Object.keys(obj)) {
+    if (!known.includes(key)) r[severity](jsonPointer(base, key), `Unknown field "${key}"`);
+  }
+}
+
+function unixField(r, obj, base, key, now) {
+  if (!usable(r, obj, base, key)) return false;
+  const path = jsonPointer(base, key);
+  if (obj[key] > MAX_PLAUSIBLE_UNIX) r.warning(path, "Looks like milliseconds: PXP-201 timestamps are seconds");
+  else if (key === "createdAt" && obj[key] > now + CLOCK_SKEW) r.warning(path, `In the future (${iso(obj[key])})`);
+  return true;
+}
+
+function inspectTimes(r, env, base, now) {
+  if (env.createdAt === undefined) r.warning(jsonPointer(base, "createdAt"), "Missing: the envelope is undated");
+  const created = unixField(r, env, base, "createdAt", now);
+  const nbf = unixField(r, env, base, "notBefore", now);
+  const exp = unixField(r, env, base, "expiresAt", now);
+
+  if (nbf && exp && env.notBefore >= env.expiresAt) {
+    r.error(jsonPointer(base, "expiresAt"), "Must be later than notBefore");
+  }
+  if (created && exp && env.createdAt > env.expiresAt) {
+    r.warning(jsonPointer(base, "expiresAt"), "Earlier than createdAt: expired on arrival");
+  }
+  if (exp && env.expiresAt <= now) r.info(jsonPointer(base, "expiresAt"), `Expired at ${iso(env.expiresAt)}`);
+  if (nbf && env.notBefore > now) r.info(jsonPointer(base, "notBefore"), `Not valid before ${iso(env.notBefore)}`);
+}
+
+// kid carried by a wk1 / pw1 payload vs the entry rid (kid = rid at wrap time)
+function checkKid(r, path, kid, rid) {
+  if (kid === undefined) r.info(path, "The wrapped key carries no kid");
+  else if (kid !== rid) r.warning(path, `kid "${kid}" does not match rid "${rid}"`);
+}
+
+function inspectWk1Entry(r, entry, path) {
+  const wkPath = jsonPointer(path, "wrappedKey");
+  let payload;
+  try {
+    payload = parseWk1(entry.wrappedKey);
+  } catch (e) {
+    r.error(wkPath, `Does not parse as wk1: ${e.message}`);
+    return;
+  }
+  for (const key of ["alg", "epk", "nonce", "ct"]) {
+    if (typeof payload?.[key] !== "string") r.error(wkPath, `wk1 payload: ${key} missing or not a string`);
+  }
+  const byAlg = KEMS.find((k) => k.alg === payload?.alg);
+  if (!byAlg) r.error(wkPath, `wk1 alg ${payload?.alg} matches no known KEM`);
+
+  if (usable(r, entry, path, "kem")) {
+    const kem = getKem(entry.kem);
+    if (byAlg && byAlg.id !== kem.id) {
+      r.error(jsonPointer(path, "kem"), `${kem.id}, but the wrapped key is ${byAlg.alg}`);
+    }
+  }
+  if (entry.kdf !== undefined) r.warning(jsonPointer(path, "kdf"), "Only passphrase (pw1) entries use kdf");
+  checkKid(r, wkPath, payload?.kid, entry.rid);
+}
+
+function inspectPassphraseEntry(r, entry, path) {
+  r.info(path, "Passphrase entry (pw1): opened with a passphrase, not a recipient key");
+  // the schema checks kdf's shape; this adds what it cannot (a missing kdf, the salt length)
+  if (!r.rejected(jsonPointer(path, "kdf"))) {
+    try {
+      validatePassphraseEntry(entry);
+    } catch (e) {
+      r.error(jsonPointer(path, "kdf"), e.message);
+    }
+  }
+  const wkPath = jsonPointer(path, "wrappedKey");
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(b64urlToU8(entry.wrappedKey.slice(PW1_PREFIX.length))));
+    checkKid(r, wkPath, payload.kid, entry.rid);
+  } catch (e) {
+    r.error(wkPath, `Does not parse as pw1: ${e.message}`);
+  }
+}
+
+function inspectRecipients(r, access, base) {
+  if (!Array.isArray(access.recipients)) return;
+  const list = jsonPointer(base, "recipients");
+  const threshold = access.mode === "THRESHOLD";
+  const known = fieldsOf(ENTRY_SCHEMA).filter((k) => threshold || k !== "x");
+  const seenRid = new Map();
+  const seenX = new Map();
+  access.recipients.forEach((entry, i) => {
+    const path = jsonPointer(list, i);
+    if (kindOf(entry) !== "object") return;
+    unknownFields(r, entry, path, known);
+
+    if (usable(r, entry, path, "rid")) {
+      if (seenRid.has(entry.rid)) {
+        r.error(jsonPointer(path, "rid"), `Duplicate rid "${entry.rid}" (also at ${seenRid.get(entry.rid)})`);
+      } else seenRid.set(entry.rid, path);
+    }
+    if (threshold && usable(r, entry, path, "x")) {
+      if (seenX.has(entry.x)) r.error(jsonPointer(path, "x"), `Duplicate share index (also at ${seenX.get(entry.x)})`);
+      else seenX.set(entry.x, path);
+    }
+
+    if (!usable(r, entry, path, "wrappedKey")) return;
+    if (isPassphraseEntry(entry)) {
+      if (threshold) r.error(path, "THRESHOLD shares are wrapped for recipient keys, not passphrases");
+      inspectPassphraseEntry(r, entry, path);
+    } else {
+      inspectWk1Entry(r, entry, path);
+    }
+  });
+}
+
+function inspectAccess(r, access, base) {
+  unknownFields(r, access, base, fieldsOf(ACCESS_SCHEMA));
+  if (access.mode === "POLICY") return;
+
+  if (access.mode === "THRESHOLD" && usable(r, access, base, "k") && usable(r, access, base, "n")) {
+    if (access.k > access.n) r.error(jsonPointer(base, "k"), `Must be 2..${access.n}`);
+    if (Array.isArray(access.recipients) && access.recipients.length !== access.n) {
+      r.error(jsonPointer(base, "recipients"), `Lists ${access.recipients.length} shares, n is ${access.n}`);
+    }
+  }
+  inspectRecipients(r, access, base);
+}
+
+function inspectEnvelope(r, env, base, now) {
+  if (kindOf(env) !== "object") return;
+  unknownFields(r, env, base, fieldsOf(ENVELOPE_SCHEMA));
+
+  if (usable(r, env, base, "uri")) {
+    try {
+      uriToCid(env.uri);
+    } catch {
+      r.info(jsonPointer(base, "uri"), "Not an ipfs://<CIDv1> uri: storage backends cannot fetch it by content id");
+    }
+  }
+  inspectTimes(r, env, base, now);
+
+  const chunking = jsonPointer(base, "chunking");
+  if (usable(r, env, base, "chunking") && usable(r, env, base, "cipher")) {
+    if (env.chunking.scheme !== CHUNKED_SCHEMES[env.cipher]) {
+      r.error(jsonPointer(chunking, "scheme"), `Must be ${CHUNKED_SCHEMES[env.cipher]} for cipher ${env.cipher}`);
+    }
+  }
+  if (kindOf(env.sig) === "object") {
+    r.info(jsonPointer(base, "sig"), "Signed: Decrypt and Test vectors verify the signature");
+  }
+  if (kindOf(env.access) === "object") inspectAccess(r, env.access, jsonPointer(base, "access"));
+
+  // the verdict the rest of the UI applies (its first error only)
+  try {
+    validateEnvelopeAny(env);
+    r.info(base, "validateEnvelope passes");
+  } catch (e) {
+    r.error(base, `validateEnvelope: ${e.message}`);
+  }
+}
+
+function inspectRaw(r, bundle, schema, env) {
+  const { raw } = bundle;
+  if (kindOf(raw) !== "object") return;
+  unknownFields(r, raw, "/raw", fieldsOf(schema.properties.raw));
+
+  const cipher = CIPHERS.find((c) => c.id === env?.cipher);
+  if (cipher && usable(r, raw, "/raw", "nonceB64url") && b64urlToU8(raw.nonceB64url).length !== cipher.nonceLength) {
+    r.error("/raw/nonceB64url", `${cipher.label} nonces are ${cipher.nonceLength} bytes`);
+  }
+  if (raw.ciphertextB64url === undefined) {
+    r.info("/raw", "No ciphertextB64url: the ciphertext is a separate file or fetched by envelope.uri");
+  }
+  for (const key of ["ciphertextHash", "aadHash"]) {
+    if (usable(r, raw, "/raw", key) && env && raw[key] !== env[key]) {
+      r.error(jsonPointer("/raw", key), `Differs from envelope.${key}`);
+    }
+  }
+}
+
+function inspectBundle(r, bundle, schema, now) {
+  unknownFields(r, bundle, "", fieldsOf(schema), "info");
+  const env = kindOf(bundle.envelope) === "object" ? bundle.envelope : null;
+  inspectRaw(r, bundle, schema, env);
+
+  const rids = new Set((Array.isArray(env?.access?.recipients) ? env.access.recipients : []).map((e) => e?.rid));
+  for (const key of ["recipientPrivHexByRid", "recipientPubHexByRid"]) {
+    if (kindOf(bundle[key]) !== "object") continue;
+    if (key === "recipientPrivHexByRid") r.warning(`/${key}`, "Private keys: a demo bundle, never publish it");
+    for (const rid of Object.keys(bundle[key])) {
+      if (!rids.has(rid)) r.warning(jsonPointer("", key, rid), `rid "${rid}" is not in envelope.access.recipients`);
+    }
+  }
+  if (bundle.recipient?.recipientPrivHex !== undefined || bundle.recipientPrivHex !== undefined) {
+    const path = bundle.recipientPrivHex !== undefined ? "/recipientPrivHex" : "/recipient/recipientPrivHex";
+    r.warning(path, "Private key: a demo vector, never publish it");
+  }
+  if (bundle.dekHex !== undefined || bundle.raw?.dekHex !== undefined) {
+    r.warning(bundle.dekHex !== undefined ? "/dekHex" : "/raw/dekHex", "The DEK itself: anyone holding it decrypts");
+  }
+  if (bundle.wrappedKey !== undefined && env) {
+    const listed = (env.access?.recipients || []).some((e) => e?.wrappedKey === bundle.wrappedKey);
+    if (!listed) r.warning("/wrappedKey", "Not one of envelope.access.recipients[].wrappedKey");
+  }
+  inspectEnvelope(r, bundle.envelope, "/envelope", now);
+}
+
+/**
+ * Lint a parsed envelope, or a bundle (anything with an `envelope` field).
+ * → { kind: "envelope" | "bundle", findings, counts: { error, warning, info } }
+ */
+export function inspectDocument(doc, { now } = {}) {
+  const r = createReport();
+  const clock = Number.isInteger(now) ? now : nowUnix();
+  let kind = "envelope";
+  if (kindOf(doc) !== "object") r.error("", `Expected a JSON object, got ${kindOf(doc)}`);
+  else if (doc.envelope !== undefined) {
+    kind = "bundle";
+    const { schema } = schemaFor(doc, BUNDLE_SCHEMAS);
+    r.schema(validateSchema(schema, doc));
+    inspectBundle(r, doc, schema, clock);
+  } else {
+    r.schema(validateSchema(ENVELOPE_SCHEMA, doc));
+    inspectEnvelope(r, doc, "", clock);
+  }
+
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, r.findings.filter((f) => f.severity === s).length]));
+  return { kind, findings: r.findings, counts };
+}
+
+/** Same, from JSON text: a parse failure is reported as a single error. */
+export function inspectJson(text, opts) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    const findings = [{ severity: "error", path: "", message: `Not JSON: ${e.message}` }];
+    return { kind: "invalid", findings, counts: { error: 1, warning: 0, info: 0 } };
+  }
+  return inspectDocument(doc, opts);
+}
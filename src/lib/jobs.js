@@ -0,0 +1,965 @@
+// src/lib/jobs.js
+// Crypto jobs executed by the worker (see crypto.worker.js / cryptoService.js).
+// Each job is `async (params, ctx) => result`; params/results must be structured-cloneable.
+// `ctx.progress({ step, done, total, unit })` reports per-step progress back to the UI.
+import * as secp from "@noble/secp256k1";
+import { encryptTextRaw, wrapDEK_secp256k1, unwrapDEK_secp256k1, decryptTextFromEnvelope } from "@privacyx/pxp201";
+
+import { b64urlToU8, hexToU8, nowUnix, u8ToB64url, u8ToHex } from "./format.js";
+import {
+  DEFAULT_MIME,
+  decryptBytesFromEnvelope,
+  encryptBytesRaw,
+  fileMeta,
+  isFilePayload,
+  isTextMime,
+} from "./payload.js";
+import { decryptChunked, encryptChunked, isChunkedEnvelope } from "./chunked.js";
+import { cidToUri, contentId } from "./storage.js";
+import { grantAccess, planRevocation, wrapEachRecipient, wrapForRecipients } from "./access.js";
+import { dedupeCandidates, trialUnwrap } from "./trial.js";
+import { signEnvelope, verifyEnvelopeSignature } from "./signature.js";
+import { envelopeFingerprint } from "./canonical.js";
+import {
+  assertAadMatches,
+  assertHashes,
+  decryptDiagnosed,
+  expectedPubHex,
+  recomputeHashes,
+  unwrapDiagnosed,
+  wrappedKeyKid,
+} from "./diagnose.js";
+import { bindValidityToAad, checkValidity, validityWindow } from "./validity.js";
+import {
+  THRESHOLD_KEM,
+  combineShares,
+  isThresholdEnvelope,
+  sdkView,
+  unwrapThreshold,
+  validateEnvelopeAny,
+  wrapShares,
+} from "./threshold.js";
+import { isPassphraseEntry, unlockWithPassphrase, unwrapDEK_passphrase } from "./passphrase.js";
+import { DEFAULT_KEM, entryKem, unwrapDEK, unwrapEntry, wrapDEK } from "./kem.js";
+import { DEFAULT_CIPHER } from "./cipher.js";
+
+const TEXT_PREVIEW_LIMIT = 1024 * 1024;
+
+function noop() {}
+
+// the SDK encrypts / decrypts AES-256-GCM text only: other ciphers take the byte path of payload.js
+async function encryptText({ plaintext, cipher, aadText }) {
+  if (cipher === DEFAULT_CIPHER) return encryptTextRaw({ plaintext, cipher, aadText });
+  return encryptBytesRaw({ bytes: new TextEncoder().encode(plaintext), cipher, aadText });
+}
+
+async function decryptText({ envelope, ...args }) {
+  if (envelope.cipher === DEFAULT_CIPHER) return decryptTextFromEnvelope({ envelope: sdkView(envelope), ...args });
+  return new TextDecoder().decode(await decryptBytesFromEnvelope({ envelope, ...args }));
+}
+
+// text via SDK, files as raw bytes or chunked stream; a fresh DEK unless one is passed
+async function encryptPayload({ inputMode, plaintext, file, chunked, chunkSize, cipher, aad, progress }) {
+  if (inputMode === "file" && chunked) {
+    if (!file) throw new Error("Pick a file to encrypt");
+    const raw = await encryptChunked({
+      source: file,
+      cipher,
+      aadText: aad,
+      chunkSize,
+      onProgress: (p) => progress({ step: "encrypt", unit: "bytes", ...p }),
+    });
+    return { raw, fileBytes: null };
+  }
+  if (inputMode === "file") {
+    if (!file) throw new Error("Pick a file to encrypt");
+    progress({ step: "encrypt", unit: "bytes", done: 0, total: file.size });
+    const fileBytes = new Uint8Array(await file.arrayBuffer());
+    const raw = await encryptBytesRaw({ bytes: fileBytes, cipher, aadText: aad });
+    progress({ step: "encrypt", unit: "bytes", done: file.size, total: file.size });
+    return { raw, fileBytes };
+  }
+  const raw = await encryptText({ plaintext, cipher, aadText: aad });
+  return { raw, fileBytes: null };
+}
+
+// file payloads come back as bytes (downloadable), text payloads as a string
+// the ciphertext decryptPayload reads: a chunked stream prefers the file, a single-shot payload the inline bytes
+function payloadCiphertext(envelope, raw, ctFile) {
+  const inline = raw?.ciphertextB64url ? b64urlToU8(raw.ciphertextB64url) : null;
+  if (isChunkedEnvelope(envelope)) return ctFile || new Blob([inline]);
+  return inline || ctFile;
+}
+
+async function decryptPayload({ envelope, dek, raw, ctFile, aadText, progress }) {
+  if (isChunkedEnvelope(envelope)) {
+    const mime = envelope.meta?.mime || DEFAULT_MIME;
+    const blob = await decryptChunked({
+      envelope,
+      dek,
+      ciphertext: payloadCiphertext(envelope, raw, ctFile),
+      nonceB64url: raw.nonceB64url,
+      aadText: aadText || undefined,
+      mime,
+      onProgress: (p) => progress({ step: "decrypt", unit: "bytes", ...p }),
+    });
+    const file = { name: envelope.meta?.filename || "pxp201-plaintext.bin", mime, blob };
+    const plaintext = isTextMime(mime) && blob.size <= TEXT_PREVIEW_LIMIT ? await blob.text() : "";
+    return { plaintext, file };
+  }
+
+  const ciphertextB64url = raw.ciphertextB64url || u8ToB64url(new Uint8Array(await ctFile.arrayBuffer()));
+  if (isFilePayload(envelope)) {
+    const bytes = await decryptBytesFromEnvelope({
+      envelope,
+      dek,
+      ciphertextB64url,
+      nonceB64url: raw.nonceB64url,
+      aadText: aadText || undefined,
+    });
+    const mime = envelope.meta.mime || DEFAULT_MIME;
+    const file = { name: envelope.meta.filename, mime, blob: new Blob([bytes], { type: mime }) };
+    return { plaintext: isTextMime(mime) ? new TextDecoder().decode(bytes) : "", file };
+  }
+
+  const plaintext = await decryptText({
+    envelope,
+    dek,
+    ciphertextB64url,
+    nonceB64url: raw.nonceB64url,
+    aadText: aadText || undefined,
+  });
+  return { plaintext, file: null };
+}
+
+function requireCiphertext(raw, ctFile) {
+  if (!raw?.nonceB64url) throw new Error("bundle.raw missing nonceB64url");
+  if (!raw.ciphertextB64url && !ctFile) {
+    throw new Error(
+      `bundle.raw has no ciphertextB64url: load the ciphertext file${
+        raw.ciphertextFile ? ` (${raw.ciphertextFile})` : ""
+      } or pick a storage backend to fetch envelope.uri`
+    );
+  }
+}
+
+// --- Encrypt tab ---
+
+export async function encryptJob(params, ctx = {}) {
+  const { inputMode, plaintext, file, chunked, chunkSize, aadText, recipients, sender, validity, access } = params;
+  const cipher = params.cipher || DEFAULT_CIPHER;
+  const progress = ctx.progress || noop;
+  // an optional validity window goes into the envelope and, as nbf / exp, into the AAD
+  const lifetime = validityWindow(validity);
+  const aad = bindValidityToAad(aadText || "", lifetime) || undefined;
+
+  // 1) encrypt payload under the chosen cipher (recorded as envelope.cipher)
+  const { raw, fileBytes } = await encryptPayload({
+    inputMode,
+    plaintext,
+    file,
+    chunked,
+    chunkSize,
+    cipher,
+    aad,
+    progress,
+  });
+
+  // 2) wrap DEK for each recipient (wk1 under its KEM, pw1 for a passphrase); a failed wrap is reported, not fatal.
+  //    THRESHOLD: wrap one Shamir share of the DEK per recipient instead (all of them, or fail)
+  const threshold = access?.mode === "THRESHOLD";
+  const wrapOpts = { dek: raw.dek, recipients, aadText: aad, onProgress: (p) => progress({ step: "wrap", ...p }) };
+  const wrapped = threshold ? await wrapShares({ ...wrapOpts, k: access.k }) : await wrapEachRecipient(wrapOpts);
+  const recipientEntries = wrapped
+    .filter((w) => w.wrappedKey)
+    .map(({ rid, x, kem, kdf, wrappedKey }) => ({
+      rid,
+      ...(threshold ? { x } : {}),
+      ...(kem ? { kem } : {}),
+      ...(kdf ? { kdf } : {}),
+      wrappedKey,
+    }));
+  if (recipientEntries.length === 0) throw new Error(`wrap failed for every recipient: ${wrapped[0]?.error}`);
+
+  // 3) content-address the ciphertext (the UI hands it to the storage adapter)
+  const ciphertext = raw.ciphertext || new Blob([b64urlToU8(raw.ciphertextB64url)]);
+  const cid = await contentId(ciphertext, {
+    onProgress: (p) => progress({ step: "cid", unit: "bytes", ...p }),
+  });
+
+  // 4) build envelope (multi-recipient)
+  progress({ step: "validate", done: 0, total: 1 });
+  const envelope = {
+    v: "0.1",
+    typ: "PXP201",
+    cipher,
+    kdf: "HKDF-SHA256",
+    access: threshold
+      ? { mode: "THRESHOLD", kem: THRESHOLD_KEM, k: access.k, n: recipientEntries.length, recipients: recipientEntries }
+      : {
+          mode: "RECIPIENTS",
+          kem: "RECIPIENTS-SECP256K1-ECIES",
+          recipients: recipientEntries,
+        },
+    uri: cidToUri(cid),
+    ciphertextHash: raw.ciphertextHash,
+    ...(raw.aadHash ? { aadHash: raw.aadHash } : {}),
+    meta: inputMode === "file" ? fileMeta(file) : { mime: "text/plain" },
+    ...(raw.chunking ? { chunking: raw.chunking } : {}),
+    createdAt: nowUnix(),
+    ...lifetime,
+  };
+
+  validateEnvelopeAny(envelope);
+  progress({ step: "validate", done: 1, total: 1 });
+
+  // 5) round-trip every recipient we hold a private key for
+  const health = await (threshold ? checkShares : checkRecipients)({
+    envelope,
+    raw,
+    ciphertext,
+    wrapped,
+    recipients,
+    aadText: aad,
+    expected: { plaintext, fileBytes, file },
+    progress,
+  });
+
+  // 6) optional sender signature (last: it covers the final envelope)
+  const signed = sender?.privHex ? await signEnvelope(envelope, sender) : envelope;
+
+  return {
+    raw,
+    envelope: signed,
+    aadText: aad || "",
+    fingerprint: envelopeFingerprint(signed),
+    health,
+    ciphertext,
+    cid,
+  };
+}
+
+/**
+ * Per-rid sanity report: wrap OK, unwrap OK, plaintext match, timings (ms).
+ * unwrapOk / plaintextMatch are null when there is no private key (or passphrase) to check with.
+ */
+async function checkRecipients({ envelope, raw, ciphertext, wrapped, recipients, aadText, expected, progress }) {
+  const same = await payloadMatcher(raw, expected);
+
+  const rows = [];
+  for (let i = 0; i < wrapped.length; i++) {
+    progress({ step: "verify", done: i, total: wrapped.length });
+    const w = wrapped[i];
+    const r = recipients[i];
+    const privHex = r?.recipientPrivHex;
+    const row = {
+      rid: w.rid,
+      wrapOk: Boolean(w.wrappedKey),
+      unwrapOk: null,
+      plaintextMatch: null,
+      ms: { wrap: w.ms, unwrap: null, decrypt: null },
+      ...(w.error ? { error: w.error } : {}),
+    };
+    rows.push(row);
+    if (!w.wrappedKey || !(privHex || r?.kind === "passphrase")) continue;
+
+    let t0 = performance.now();
+    let dek;
+    try {
+      dek =
+        r.kind === "passphrase"
+          ? await unwrapDEK_passphrase({ entry: w, passphrase: r.passphrase, aadText })
+          : await unwrapEntry({ entry: w, privHex, aadText });
+      row.unwrapOk = true;
+    } catch (e) {
+      row.unwrapOk = false;
+      row.error = `unwrap: ${String(e?.message || e)}`;
+      continue;
+    } finally {
+      row.ms.unwrap = performance.now() - t0;
+    }
+
+    t0 = performance.now();
+    try {
+      const out = await decryptPayload({ envelope, dek, raw, ctFile: ciphertext, aadText, progress: noop });
+      row.plaintextMatch = await same(out);
+      if (!row.plaintextMatch) row.error = "decrypted payload differs from the input";
+    } catch (e) {
+      row.plaintextMatch = false;
+      row.error = `decrypt: ${String(e?.message || e)}`;
+    } finally {
+      row.ms.decrypt = performance.now() - t0;
+    }
+  }
+  progress({ step: "verify", done: wrapped.length, total: wrapped.length });
+
+  const healthy = rows.every((r) => r.wrapOk && r.unwrapOk !== false && r.plaintextMatch !== false);
+  return { healthy, checked: rows.filter((r) => r.unwrapOk !== null).length, rows };
+}
+
+// chunked payloads are compared by content id, the rest byte for byte
+async function payloadMatcher(raw, expected) {
+  const expectedCid = raw.chunking ? await contentId(expected.file) : "";
+  return async ({ plaintext, file }) => {
+    if (raw.chunking) return (await contentId(file.blob)) === expectedCid;
+    if (expected.fileBytes) {
+      const bytes = new Uint8Array(await file.blob.arrayBuffer());
+      return bytes.length === expected.fileBytes.length && bytes.every((b, i) => b === expected.fileBytes[i]);
+    }
+    return plaintext === expected.plaintext;
+  };
+}
+
+/**
+ * THRESHOLD counterpart of checkRecipients: a share alone decrypts nothing, so each unwrapped share
+ * is combined with k-1 others and the payload decrypted. plaintextMatch is null below k keys.
+ */
+async function checkShares({ envelope, raw, ciphertext, wrapped, recipients, aadText, expected, progress }) {
+  const same = await payloadMatcher(raw, expected);
+  const { k } = envelope.access;
+
+  const rows = [];
+  const shares = [];
+  for (let i = 0; i < wrapped.length; i++) {
+    progress({ step: "verify", done: i, total: wrapped.length * 2 });
+    const w = wrapped[i];
+    const row = {
+      rid: w.rid,
+      wrapOk: true,
+      unwrapOk: null,
+      plaintextMatch: null,
+      ms: { wrap: w.ms, unwrap: null, decrypt: null },
+    };
+    rows.push(row);
+    const privHex = recipients[i]?.recipientPrivHex;
+    if (!privHex) continue;
+
+    const t0 = performance.now();
+    try {
+      const y = await unwrapEntry({ entry: w, privHex, aadText });
+      shares.push({ row, x: w.x, y });
+      row.unwrapOk = true;
+    } catch (e) {
+      row.unwrapOk = false;
+      row.error = `unwrap: ${String(e?.message || e)}`;
+    } finally {
+      row.ms.unwrap = performance.now() - t0;
+    }
+  }
+
+  if (shares.length >= k) {
+    for (let i = 0; i < shares.length; i++) {
+      progress({ step: "verify", done: wrapped.length + i, total: wrapped.length * 2 });
+      const { row } = shares[i];
+      const group = [shares[i], ...shares.filter((_, j) => j !== i).slice(0, k - 1)];
+      const t0 = performance.now();
+      try {
+        const dek = combineShares(group);
+        const out = await decryptPayload({ envelope, dek, raw, ctFile: ciphertext, aadText, progress: noop });
+        row.plaintextMatch = await same(out);
+        if (!row.plaintextMatch) row.error = "decrypted payload differs from the input";
+      } catch (e) {
+        row.plaintextMatch = false;
+        row.error = `combine + decrypt: ${String(e?.message || e)}`;
+      } finally {
+        row.ms.decrypt = performance.now() - t0;
+      }
+    }
+  }
+  progress({ step: "verify", done: wrapped.length * 2, total: wrapped.length * 2 });
+
+  const healthy = rows.every((r) => r.unwrapOk !== false && r.plaintextMatch !== false);
+  return {
+    healthy,
+    checked: rows.filter((r) => r.unwrapOk !== null).length,
+    rows,
+    threshold: { k, keys: shares.length },
+  };
+}
+
+// --- Decrypt tab ---
+
+// the bundle says which key belongs to which rid
+async function unwrapSelected({ bundle, recips, selectedRid, aadText, progress }) {
+  // pick rid
+  const ridToUse = selectedRid || recips[0]?.rid;
+  if (!ridToUse) throw new Error("No recipient rid available");
+
+  const entry = recips.find((x) => x.rid === ridToUse) || recips[0];
+  if (!entry?.wrappedKey) throw new Error("No wrappedKey for selected recipient");
+  if (isPassphraseEntry(entry)) throw new Error(`${entry.rid} is a passphrase entry: unlock it with its passphrase`);
+
+  // ✅ Resolve privkey from either:
+  // A) multi-recipient demo bundle: recipientPrivHexByRid[rid]
+  // B) legacy vector/import bundle: recipient.recipientPrivHex
+  const privMap = bundle?.recipientPrivHexByRid;
+  const privHex =
+    (privMap && typeof privMap === "object" && entry?.rid ? privMap[entry.rid] : "") ||
+    bundle?.recipient?.recipientPrivHex ||
+    "";
+
+  if (!privHex) {
+    throw new Error(
+      `No private key for ${entry.rid}: load its key file ` +
+        "(or use a demo bundle with recipientPrivHexByRid[rid] / recipient.recipientPrivHex)."
+    );
+  }
+
+  progress({ step: "unwrap", done: 0, total: 1 });
+  const kem = entryKem(entry);
+  const dek = await unwrapDiagnosed({
+    kem,
+    wrappedKey: entry.wrappedKey,
+    privHex,
+    aadText,
+    rid: entry.rid,
+    aadChecked: true,
+    expectedPub: expectedPubHex(bundle, entry.rid, kem),
+  });
+  progress({ step: "unwrap", done: 1, total: 1 });
+  return { entry, dek };
+}
+
+// the bundle's own AAD wins over the AAD field
+function decryptAad(bundle, aadOverride) {
+  return typeof bundle.aadText === "string" && bundle.aadText.length > 0 ? bundle.aadText : aadOverride || "";
+}
+
+export async function decryptJob(params, ctx = {}) {
+  const { bundle, aadOverride, selectedRid, ctFile, candidates, passphrase, now, strictValidity } = params;
+  const progress = ctx.progress || noop;
+  const { raw, envelope } = bundle;
+
+  const aadText = decryptAad(bundle, aadOverride);
+
+  requireCiphertext(raw, ctFile);
+  if (!envelope) throw new Error("bundle.envelope missing");
+
+  progress({ step: "validate", done: 0, total: 1 });
+  validateEnvelopeAny(envelope);
+  progress({ step: "validate", done: 1, total: 1 });
+
+  // the supplied bytes, not the stored strings: a swapped ciphertext or a wrong AAD stops here, before any unwrap
+  // (named as such, not as an opaque tag failure); err.hashes keeps computed vs claimed for the caller
+  const hashes = await recomputeHashes({
+    envelope,
+    raw,
+    ciphertext: payloadCiphertext(envelope, raw, ctFile),
+    aadText,
+    onProgress: (p) => progress({ step: "hash", unit: "bytes", ...p }),
+  });
+  try {
+    assertHashes(hashes, aadText);
+  } catch (err) {
+    err.hashes = hashes;
+    throw err;
+  }
+  // after the AAD check: a wrong AAD is an AAD mismatch, not a window that does not match it
+  const validity = checkValidity(envelope, aadText, { now, strict: strictValidity });
+
+  // ✅ resolver: supports multi-recipient demo bundle AND legacy vector/import bundle
+  const recips = envelope?.access?.recipients || [];
+  if (!Array.isArray(recips) || recips.length === 0) throw new Error("envelope.access.recipients missing/empty");
+
+  // unwrap: k shares (THRESHOLD), a passphrase, trial-unwrap with every candidate key, or the bundle's rid → key map
+  let entry;
+  let dek;
+  let trial = null;
+  let threshold = null;
+  let unlockedWith = null;
+  if (isThresholdEnvelope(envelope)) {
+    const opened = await unwrapThreshold({
+      envelope,
+      aadText,
+      privHexByRid: bundle.recipientPrivHexByRid || {},
+      candidates: dedupeCandidates(candidates || []),
+      onProgress: (p) => progress({ step: "unwrap shares", ...p }),
+    });
+    dek = opened.dek;
+    entry = { rid: opened.shares.map((s) => s.rid).join(", ") };
+    threshold = { k: envelope.access.k, n: envelope.access.n, shares: opened.shares };
+  } else if (passphrase) {
+    ({ entry, dek } = await unlockWithPassphrase({
+      envelope,
+      passphrase,
+      aadText,
+      preferRid: selectedRid,
+      onProgress: (p) => progress({ step: "passphrase", ...p }),
+    }));
+    unlockedWith = "passphrase";
+  } else if (candidates?.length) {
+    const unique = dedupeCandidates(candidates);
+    const match = await trialUnwrap({
+      envelope,
+      aadText,
+      candidates: unique,
+      onProgress: (p) => progress({ step: "trial unwrap", ...p }),
+    });
+    ({ entry, dek } = match);
+    trial = { key: match.candidate.label, attempts: match.attempts, candidates: unique.length };
+  } else {
+    ({ entry, dek } = await unwrapSelected({ bundle, recips, selectedRid, aadText, progress }));
+  }
+
+  const { plaintext, file } = await decryptDiagnosed(
+    () => decryptPayload({ envelope, dek, raw, ctFile, aadText, progress }),
+    { combined: Boolean(threshold) }
+  );
+  const signature = await verifyEnvelopeSignature(envelope);
+
+  return {
+    plaintext,
+    file,
+    signature,
+    validity,
+    info: {
+      fingerprint: envelopeFingerprint(envelope),
+      cipher: envelope.cipher,
+      ciphertextHash: envelope.ciphertextHash,
+      aadHash: envelope.aadHash,
+      hashes,
+      rid: entry.rid,
+      createdAt: envelope.createdAt,
+      ...(validity ? { validity } : {}),
+      ...(envelope.meta ? { meta: envelope.meta } : {}),
+      ...(trial ? { trial } : {}),
+      ...(threshold ? { threshold } : {}),
+      ...(unlockedWith ? { unlockedWith } : {}),
+    },
+  };
+}
+
+// --- Access tab ---
+
+// an access change voids the sender signature: re-sign with `sender` when given, else say it was dropped
+async function resign(before, next, sender) {
+  if (sender?.privHex) {
+    const signed = await signEnvelope(next, sender);
+    return { envelope: signed, signature: { resignedBy: signed.sig.kid } };
+  }
+  return { envelope: next, signature: before.sig ? { signatureDropped: true } : {} };
+}
+
+export async function grantJob(params, ctx = {}) {
+  const { bundle, aadOverride, granterRid, granterPrivHex, newRid, newPubHex, newKem, sender } = params;
+  const progress = ctx.progress || noop;
+  const { envelope } = bundle;
+  if (!envelope) throw new Error("bundle.envelope missing");
+
+  const aadText = decryptAad(bundle, aadOverride);
+
+  progress({ step: "grant", done: 0, total: 1 });
+  const granted = await grantAccess({ envelope, aadText, granterRid, granterPrivHex, newRid, newPubHex, newKem });
+  const { envelope: next, signature } = await resign(envelope, granted, sender);
+  progress({ step: "grant", done: 1, total: 1 });
+
+  return {
+    envelope: next,
+    bundle: {
+      ...bundle,
+      envelope: next,
+      ...(bundle.recipientPubHexByRid
+        ? { recipientPubHexByRid: { ...bundle.recipientPubHexByRid, [newRid]: newPubHex } }
+        : {}),
+    },
+    summary: {
+      granted: newRid,
+      grantedBy: granterRid,
+      recipients: next.access.recipients.length,
+      ciphertextHash: next.ciphertextHash,
+      uri: next.uri,
+      payloadUnchanged: next.ciphertextHash === envelope.ciphertextHash && next.uri === envelope.uri,
+      ...signature,
+    },
+  };
+}
+
+export async function revokeJob(params, ctx = {}) {
+  const { bundle, aadOverride, revokerRid, revokerPrivHex, removeRids, recipientPubHexByRid, ctFile, sender } = params;
+  const progress = ctx.progress || noop;
+  const { raw, envelope } = bundle;
+
+  const aadText = decryptAad(bundle, aadOverride);
+  const aad = aadText || undefined;
+
+  requireCiphertext(raw, ctFile);
+  if (!envelope) throw new Error("bundle.envelope missing");
+  validateEnvelopeAny(envelope);
+  if (!revokerPrivHex) throw new Error("privkey of an authorized recipient required");
+
+  const { kept, removed } = planRevocation(envelope, removeRids);
+  const remaining = kept.map((rid) => ({
+    rid,
+    kem: entryKem(envelope.access.recipients.find((r) => r.rid === rid)),
+    recipientPubHex: recipientPubHexByRid?.[rid],
+  }));
+
+  // 1) recover the payload with an authorized key
+  const entry = envelope.access.recipients.find((r) => r.rid === revokerRid);
+  if (!entry) throw new Error(`rid not found in envelope.access.recipients: ${revokerRid}`);
+
+  progress({ step: "unwrap", done: 0, total: 1 });
+  const oldDek = await unwrapEntry({ entry, privHex: revokerPrivHex, aadText: aad });
+  progress({ step: "unwrap", done: 1, total: 1 });
+
+  const { plaintext, file } = await decryptPayload({ envelope, dek: oldDek, raw, ctFile, aadText, progress });
+
+  // 2) fresh DEK + nonce, same payload shape and cipher as before
+  const { raw: nextRaw } = await encryptPayload({
+    inputMode: file ? "file" : "text",
+    plaintext,
+    file: file?.blob,
+    chunked: isChunkedEnvelope(envelope),
+    chunkSize: envelope.chunking?.chunkSize,
+    cipher: envelope.cipher,
+    aad,
+    progress,
+  });
+
+  // 3) wrap only for the remaining recipients
+  const recipients = await wrapForRecipients({
+    dek: nextRaw.dek,
+    recipients: remaining,
+    aadText: aad,
+    onProgress: (p) => progress({ step: "wrap", ...p }),
+  });
+
+  const ciphertext = nextRaw.ciphertext || new Blob([b64urlToU8(nextRaw.ciphertextB64url)]);
+  const cid = await contentId(ciphertext, {
+    onProgress: (p) => progress({ step: "cid", unit: "bytes", ...p }),
+  });
+
+  // a sender signature covered the old envelope: dropped, or re-signed below
+  const { aadHash: _oldAadHash, chunking: _oldChunking, sig: _oldSig, ...rest } = envelope;
+  const rotated = {
+    ...rest,
+    access: { ...envelope.access, recipients },
+    uri: cidToUri(cid),
+    ciphertextHash: nextRaw.ciphertextHash,
+    ...(nextRaw.aadHash ? { aadHash: nextRaw.aadHash } : {}),
+    ...(nextRaw.chunking ? { chunking: nextRaw.chunking } : {}),
+    createdAt: nowUnix(),
+  };
+  validateEnvelopeAny(rotated);
+  const { envelope: next, signature } = await resign(envelope, rotated, sender);
+
+  const dropRemoved = (map) => Object.fromEntries(Object.entries(map).filter(([rid]) => kept.includes(rid)));
+
+  return {
+    envelope: next,
+    ciphertext,
+    cid,
+    bundle: {
+      ...bundle,
+      aadText,
+      raw: {
+        ...(nextRaw.chunking
+          ? { ciphertextFile: raw.ciphertextFile || "pxp201-ciphertext.bin" }
+          : { ciphertextB64url: nextRaw.ciphertextB64url }),
+        nonceB64url: nextRaw.nonceB64url,
+        ciphertextHash: nextRaw.ciphertextHash,
+        ...(nextRaw.aadHash ? { aadHash: nextRaw.aadHash } : {}),
+      },
+      envelope: next,
+      ...(bundle.recipientPrivHexByRid ? { recipientPrivHexByRid: dropRemoved(bundle.recipientPrivHexByRid) } : {}),
+      recipientPubHexByRid: Object.fromEntries(remaining.map((r) => [r.rid, r.recipientPubHex])),
+    },
+    summary: {
+      removedRids: removed,
+      remainingRids: kept,
+      revokedBy: revokerRid,
+      oldCiphertextHash: envelope.ciphertextHash,
+      newCiphertextHash: next.ciphertextHash,
+      oldUri: envelope.uri,
+      newUri: next.uri,
+      ...signature,
+    },
+  };
+}
+
+// --- WK1 tab ---
+
+export async function unwrapJob({ wrappedKey, privHex, aadText, bundle }) {
+  if (!wrappedKey) throw new Error("wrappedKey required");
+  if (!privHex) throw new Error("recipientPrivHex required");
+
+  // a wrapped key from the loaded bundle: its envelope's aadHash and the rid's pubkey sharpen the diagnosis
+  const entry = bundle?.envelope?.access?.recipients?.find((r) => r.wrappedKey === wrappedKey);
+  if (entry) assertAadMatches(bundle.envelope.aadHash, aadText);
+  const rid = entry?.rid || wrappedKeyKid(wrappedKey);
+  // dispatch on the entry's kem, or on the KEM the wk1 alg names for a bare wrapped key
+  const kem = entryKem(entry || { wrappedKey });
+
+  const dek = await unwrapDiagnosed({
+    kem,
+    wrappedKey,
+    privHex,
+    aadText,
+    rid,
+    aadChecked: Boolean(entry),
+    expectedPub: expectedPubHex(entry ? bundle : null, rid, kem),
+  });
+  return { dekHex: u8ToHex(dek), kem };
+}
+
+export async function wrapJob({ dekHexIn, pubHex, kid, privHex, aadText, kem = DEFAULT_KEM }) {
+  if (!dekHexIn) throw new Error("dekHex required (0x.. 32 bytes)");
+  if (!pubHex) throw new Error("recipientPubHex required");
+  if (!kid) throw new Error("kid required");
+  if (!privHex) throw new Error("recipientPrivHex required for auto-sanity unwrap (optional)");
+
+  const dek = hexToU8(dekHexIn);
+  if (dek.length !== 32) throw new Error("DEK must be 32 bytes (64 hex chars)");
+
+  const wrappedKey = await wrapDEK({ kem, dek, pubHex, kid, aadText });
+  const dek2 = await unwrapDEK({ kem, wrappedKey, privHex, aadText });
+  return { wrappedKey, dekHex: u8ToHex(dek2) };
+}
+
+// --- Vectors tab ---
+
+export async function replayBundleJob({ bundle, now, strictValidity }, ctx = {}) {
+  const progress = ctx.progress || noop;
+  const { raw, envelope } = bundle;
+
+  const aadText = typeof bundle.aadText === "string" ? bundle.aadText : "";
+
+  if (raw?.ciphertextFile && !raw?.ciphertextB64url) {
+    throw new Error(`The ciphertext ships as ${raw.ciphertextFile}: decrypt this bundle in the Decrypt tab`);
+  }
+  if (!raw?.ciphertextB64url || !raw?.nonceB64url) {
+    throw new Error("bundle.raw missing ciphertextB64url/nonceB64url");
+  }
+  if (!envelope) throw new Error("bundle.envelope missing");
+
+  // 1) validate envelope structure
+  progress({ step: "validate", done: 0, total: 3 });
+  validateEnvelopeAny(envelope);
+  if (isThresholdEnvelope(envelope)) {
+    throw new Error("THRESHOLD bundles need k key holders: decrypt them in the Decrypt tab");
+  }
+
+  // hashes of the actual bytes and AAD, not raw's copies: a swapped ciphertext fails here, before any unwrap
+  const hashes = await recomputeHashes({ envelope, raw, ciphertext: b64urlToU8(raw.ciphertextB64url), aadText });
+  const hashMatch = hashes.ciphertext.match && hashes.ciphertext.bundleMatch;
+  const aadMatch = hashes.aad.match && hashes.aad.bundleMatch;
+  try {
+    assertHashes(hashes, aadText);
+  } catch (e) {
+    return {
+      mode: "bundle",
+      ok: false,
+      error: e.message,
+      checks: {
+        envelopeValid: true,
+        wk1Parsed: false,
+        hashMatch,
+        aadMatch,
+        hashes,
+        decryptOk: false,
+        signature: await verifyEnvelopeSignature(envelope),
+        fingerprint: envelopeFingerprint(envelope),
+      },
+    };
+  }
+  const validity = checkValidity(envelope, aadText, { now, strict: strictValidity });
+
+  // --- Resolve (wrappedKey, privHex, rid) from either:
+  // A) new multi-recipient bundle: envelope.access.recipients + recipientPrivHexByRid
+  // B) legacy bundle: bundle.wrappedKey + bundle.recipient.recipientPrivHex
+
+  let wrappedKey = bundle?.wrappedKey || "";
+  let privHex = bundle?.recipient?.recipientPrivHex || "";
+  let rid = bundle?.recipient?.rid || envelope?.access?.recipients?.[0]?.rid || "";
+
+  // If multi-recipient bundle style:
+  if (!wrappedKey) {
+    const recips = envelope?.access?.recipients || [];
+    if (!Array.isArray(recips) || recips.length === 0) {
+      throw new Error("envelope.access.recipients missing/empty");
+    }
+
+    // choose first recipient (Vectors panel is mono-recipient UX)
+    const entry = recips[0];
+    if (!entry?.wrappedKey) throw new Error("No wrappedKey found in envelope.access.recipients[0]");
+    if (isPassphraseEntry(entry)) {
+      throw new Error(`recipients[0] (${entry.rid}) is a passphrase entry: decrypt it in the Decrypt tab`);
+    }
+    wrappedKey = entry.wrappedKey;
+    rid = entry.rid || rid;
+
+    const privMap = bundle?.recipientPrivHexByRid;
+    if (privMap && typeof privMap === "object") {
+      privHex = privMap[entry.rid] || privHex;
+    }
+  }
+
+  if (!wrappedKey)
+    throw new Error(
+      "No wrappedKey available in bundle (expected bundle.wrappedKey or envelope.access.recipients[0].wrappedKey)"
+    );
+  if (!privHex)
+    throw new Error(
+      "No recipient privkey available in bundle (expected bundle.recipient.recipientPrivHex or bundle.recipientPrivHexByRid[rid])"
+    );
+
+  // 2) unwrap, with the KEM of the entry (or of the legacy bundle.wrappedKey's alg)
+  progress({ step: "unwrap", done: 1, total: 3 });
+  const kem = entryKem(envelope.access.recipients?.find((r) => r.wrappedKey === wrappedKey) || { wrappedKey });
+  const dek = await unwrapDiagnosed({
+    kem,
+    wrappedKey,
+    privHex,
+    aadText,
+    rid,
+    aadChecked: true,
+    expectedPub: expectedPubHex(bundle, rid, kem),
+  });
+
+  // 3) decrypt, dispatched on the envelope (chunked / file / text) as in decryptJob
+  progress({ step: "decrypt", done: 2, total: 3 });
+  const { plaintext } = await decryptDiagnosed(() =>
+    decryptPayload({ envelope, dek, raw, ctFile: null, aadText, progress: noop })
+  );
+  progress({ step: "decrypt", done: 3, total: 3 });
+
+  // 4) signature; raw's hash copies must agree with the envelope too
+  const signature = await verifyEnvelopeSignature(envelope);
+  const error =
+    signature && !signature.valid
+      ? `Sender signature invalid: ${signature.detail}`
+      : !hashMatch || !aadMatch
+        ? "bundle raw hashes differ from the envelope's (the ciphertext itself matches envelope.ciphertextHash)"
+        : "";
+
+  return {
+    mode: "bundle",
+    ok: !error,
+    ...(error ? { error } : {}),
+    plaintext,
+    checks: {
+      envelopeValid: true,
+      wk1Parsed: true,
+      hashMatch,
+      aadMatch,
+      hashes,
+      decryptOk: true,
+      signature,
+      validity,
+      fingerprint: envelopeFingerprint(envelope),
+    },
+    meta: {
+      rid,
+      createdAt: envelope.createdAt,
+    },
+  };
+}
+
+export async function generateVectorJob({ cipher = DEFAULT_CIPHER, sign = true } = {}, ctx = {}) {
+  const progress = ctx.progress || noop;
+  const plaintextIn = "vector: hello from PXP-201";
+  const aadText = "app:pxp201-ui|vectors:v0.1";
+  const rid = "did:pkh:eip155:1:0xDEMO_RECIPIENT";
+
+  const priv = secp.utils.randomSecretKey();
+  const pub = secp.getPublicKey(priv, true);
+  const privHex = u8ToHex(priv);
+  const pubHex = u8ToHex(pub);
+
+  progress({ step: "encrypt", done: 0, total: 4 });
+  const raw = await encryptText({ plaintext: plaintextIn, cipher, aadText });
+
+  progress({ step: "wrap", done: 1, total: 4 });
+  const wk = await wrapDEK_secp256k1({
+    dek: raw.dek,
+    recipientPubKeyHex: pubHex,
+    kid: rid,
+    aadText,
+  });
+
+  progress({ step: "validate", done: 2, total: 4 });
+  const cid = await contentId(new Blob([b64urlToU8(raw.ciphertextB64url)]));
+  const unsigned = {
+    v: "0.1",
+    typ: "PXP201",
+    cipher,
+    kdf: "HKDF-SHA256",
+    access: {
+      mode: "RECIPIENTS",
+      kem: "RECIPIENTS-SECP256K1-ECIES",
+      recipients: [{ rid, wrappedKey: wk }],
+    },
+    uri: cidToUri(cid),
+    ciphertextHash: raw.ciphertextHash,
+    ...(raw.aadHash ? { aadHash: raw.aadHash } : {}),
+    meta: { mime: "text/plain" },
+    createdAt: nowUnix(),
+  };
+  // optional sender signature, by a fresh demo key
+  const env = sign ? await signEnvelope(unsigned, { privHex: u8ToHex(secp.utils.randomSecretKey()) }) : unsigned;
+
+  validateEnvelopeAny(env);
+
+  progress({ step: "decrypt", done: 3, total: 4 });
+  const dek2 = await unwrapDEK_secp256k1({
+    wrappedKey: wk,
+    recipientPrivKeyHex: privHex,
+    aadText,
+  });
+
+  const plaintextOut = await decryptText({
+    envelope: env,
+    dek: dek2,
+    ciphertextB64url: raw.ciphertextB64url,
+    nonceB64url: raw.nonceB64url,
+    aadText,
+  });
+  progress({ step: "decrypt", done: 4, total: 4 });
+
+  const decryptOk = plaintextOut === plaintextIn;
+  const hashes = await recomputeHashes({ envelope: env, raw, ciphertext: b64urlToU8(raw.ciphertextB64url), aadText });
+  const hashMatch = hashes.ciphertext.match && hashes.ciphertext.bundleMatch;
+  const aadMatch = hashes.aad.match && hashes.aad.bundleMatch;
+  const signature = await verifyEnvelopeSignature(env);
+
+  return {
+    mode: "generate",
+    ok: decryptOk && hashMatch && aadMatch && (!sign || signature?.valid === true),
+    plaintext: plaintextOut,
+    checks: {
+      envelopeValid: true,
+      wk1Parsed: true,
+      hashMatch,
+      aadMatch,
+      hashes,
+      decryptOk,
+      signature,
+      fingerprint: envelopeFingerprint(env),
+    },
+    generated: {
+      aadText,
+      rid,
+      recipientPubHex: pubHex,
+      recipientPrivHex: privHex,
+      wrappedKey: wk,
+      raw: {
+        nonceB64url: raw.nonceB64url,
+        ciphertextB64url: raw.ciphertextB64url,
+        ciphertextHash: raw.ciphertextHash,
+        ...(raw.aadHash ? { aadHash: raw.aadHash } : {}),
+      },
+      envelope: env,
+    },
+  };
+}
+
+export const jobs = {
+  encrypt: encryptJob,
+  decrypt: decryptJob,
+  grant: grantJob,
+  revoke: revokeJob,
+  wrap: wrapJob,
+  unwrap: unwrapJob,
+  replayBundle: replayBundleJob,
+  generateVector: generateVectorJob,
+};
@@ -0,0 +1,194 @@
+// src/lib/kem.js
+// KEM registry: how a DEK is wrapped for one recipient, keyed by the `kem` name each recipient entry records
+// (entries without one are secp256k1, the envelope-level access.kem).
+// Every KEM emits a wk1 wrapped key, pxp201:wk1:<b64url json { alg, epk, nonce, ct, kid }>:
+// - RECIPIENTS-SECP256K1-ECIES: the SDK's wrapDEK_secp256k1 / unwrapDEK_secp256k1
+// - RECIPIENTS-P256-ECIES, RECIPIENTS-X25519-ECIES: the same ECIES over WebCrypto ECDH
+//   (ephemeral key → shared secret → HKDF-SHA256, salt = epk → AES-256-GCM, AAD = the envelope AAD)
+//
+// Keys are hex. Privkeys: 32-byte scalars (X25519: 32-byte secrets).
+// Pubkeys: 33-byte compressed (secp256k1), 65-byte uncompressed 0x04… (P-256), 32 bytes (X25519).
+import * as secp from "@noble/secp256k1";
+import { unwrapDEK_secp256k1, wrapDEK_secp256k1 } from "@privacyx/pxp201";
+
+import { b64urlToU8, hexToU8, u8ToB64url, u8ToHex } from "./format.js";
+import { importAesKey, requireSubtle } from "./webcrypto.js";
+import { compressPubHex } from "./did.js";
+
+export const DEFAULT_KEM = "RECIPIENTS-SECP256K1-ECIES";
+const WK1_PREFIX = "pxp201:wk1:";
+
+const secp256k1 = {
+  id: DEFAULT_KEM,
+  label: "secp256k1",
+  alg: "ECIES-secp256k1+HKDF-SHA256+AES-256-GCM",
+  pubHint: "33 bytes compressed (0x02… / 0x03…)",
+  async generateKeyPair() {
+    const priv = secp.utils.randomSecretKey();
+    return { privHex: u8ToHex(priv), pubHex: u8ToHex(secp.getPublicKey(priv, true)) };
+  },
+  async publicKey(privHex) {
+    return u8ToHex(secp.getPublicKey(hexToU8(privHex), true));
+  },
+  normalizePub: compressPubHex,
+  wrap: ({ dek, pubHex, kid, aadText }) =>
+    wrapDEK_secp256k1({ dek, recipientPubKeyHex: pubHex, kid, aadText: aadText || undefined }),
+  unwrap: ({ wrappedKey, privHex, aadText }) =>
+    unwrapDEK_secp256k1({ wrappedKey, recipientPrivKeyHex: privHex, aadText: aadText || undefined }),
+};
+
+// WebCrypto takes EC / X25519 private keys as PKCS#8 only: a fixed DER header + the 32 private bytes
+function webCryptoKem({ id, label, alg, algorithm, pkcs8Header, pubLength, pubHint }) {
+  const header = hexToU8(pkcs8Header);
+  const info = new TextEncoder().encode(`PXP201:WK1:${label}`);
+
+  const importPriv = (privHex, extractable = false) => {
+    const d = hexToU8(privHex);
+    if (d.length !== 32) throw new Error(`${label} privkey must be 32 bytes`);
+    return requireSubtle().importKey("pkcs8", new Uint8Array([...header, ...d]), algorithm, extractable, [
+      "deriveBits",
+    ]);
+  };
+  const normalizePub = (pubHex) => {
+    const pub = hexToU8(pubHex);
+    if (pub.length !== pubLength) throw new Error(`${label} pubkey must be ${pubHint}`);
+    return u8ToHex(pub);
+  };
+  const importPub = (pubHex) => requireSubtle().importKey("raw", hexToU8(normalizePub(pubHex)), algorithm, true, []);
+
+  // shared secret → AES-GCM key; epk salts the HKDF, as in wk1
+  const wrapKey = async (privateKey, publicKey, epk, usages) => {
+    const subtle = requireSubtle();
+    const bits = await subtle.deriveBits({ name: algorithm.name, public: publicKey }, privateKey, 256);
+    const shared = new Uint8Array(bits);
+    if (shared.every((b) => b === 0)) throw new Error(`${label} shared secret is zero (low-order public key)`);
+    const ikm = await subtle.importKey("raw", shared, "HKDF", false, ["deriveBits"]);
+    const okm = await subtle.deriveBits({ name: "HKDF", hash: "SHA-256", salt: epk, info }, ikm, 256);
+    return importAesKey(new Uint8Array(okm), usages);
+  };
+  const gcm = (aadText, iv) => ({
+    name: "AES-GCM",
+    iv,
+    ...(aadText ? { additionalData: new TextEncoder().encode(aadText) } : {}),
+    tagLength: 128,
+  });
+
+  return {
+    id,
+    label,
+    alg,
+    pubHint,
+    async generateKeyPair() {
+      const subtle = requireSubtle();
+      const kp = await subtle.generateKey(algorithm, true, ["deriveBits"]);
+      const { d } = await subtle.exportKey("jwk", kp.privateKey);
+      const pub = new Uint8Array(await subtle.exportKey("raw", kp.publicKey));
+      return { privHex: u8ToHex(b64urlToU8(d)), pubHex: u8ToHex(pub) };
+    },
+    async publicKey(privHex) {
+      const { x, y } = await requireSubtle().exportKey("jwk", await importPriv(privHex, true));
+      return u8ToHex(y ? new Uint8Array([4, ...b64urlToU8(x), ...b64urlToU8(y)]) : b64urlToU8(x));
+    },
+    normalizePub,
+    async wrap({ dek, pubHex, kid, aadText }) {
+      if (dek.length !== 32) throw new Error("DEK must be 32 bytes");
+      const subtle = requireSubtle();
+      const recipient = await importPub(pubHex);
+      const eph = await subtle.generateKey(algorithm, true, ["deriveBits"]);
+      const epk = new Uint8Array(await subtle.exportKey("raw", eph.publicKey));
+      const key = await wrapKey(eph.privateKey, recipient, epk, ["encrypt"]);
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const ct = new Uint8Array(await subtle.encrypt(gcm(aadText, iv), key, dek));
+      const payload = { alg, epk: u8ToHex(epk), nonce: u8ToB64url(iv), ct: u8ToB64url(ct), ...(kid ? { kid } : {}) };
+      return WK1_PREFIX + u8ToB64url(new TextEncoder().encode(JSON.stringify(payload)));
+    },
+    async unwrap({ wrappedKey, privHex, aadText }) {
+      const payload = parseWk1(wrappedKey);
+      const key = await wrapKey(await importPriv(privHex), await importPub(payload.epk), hexToU8(payload.epk), [
+        "decrypt",
+      ]);
+      const dek = new Uint8Array(
+        await requireSubtle().decrypt(gcm(aadText, b64urlToU8(payload.nonce)), key, b64urlToU8(payload.ct))
+      );
+      if (dek.length !== 32) throw new Error("Invalid DEK length");
+      return dek;
+    },
+  };
+}
+
+const p256 = webCryptoKem({
+  id: "RECIPIENTS-P256-ECIES",
+  label: "P-256",
+  alg: "ECIES-P256+HKDF-SHA256+AES-256-GCM",
+  algorithm: { name: "ECDH", namedCurve: "P-256" },
+  pkcs8Header: "0x3041020100301306072a8648ce3d020106082a8648ce3d030107042730250201010420",
+  pubLength: 65,
+  pubHint: "65 bytes uncompressed (0x04…)",
+});
+
+const x25519 = webCryptoKem({
+  id: "RECIPIENTS-X25519-ECIES",
+  label: "X25519",
+  alg: "ECIES-X25519+HKDF-SHA256+AES-256-GCM",
+  algorithm: { name: "X25519" },
+  pkcs8Header: "0x302e020100300506032b656e04220420",
+  pubLength: 32,
+  pubHint: "32 bytes",
+});
+
+/** Registered KEMs, in UI order. */
+export const KEMS = [secp256k1, p256, x25519];
+
+export function getKem(id) {
+  const kem = KEMS.find((k) => k.id === (id || DEFAULT_KEM));
+  if (!kem) throw new Error(`Unknown KEM: ${id}`);
+  return kem;
+}
+
+/** wk1 wrapped key → its decoded JSON payload `{ alg, epk, nonce, ct, kid? }` (fields are not checked). */
+export function parseWk1(wrappedKey) {
+  if (typeof wrappedKey !== "string") throw new Error("wrappedKey must be a string");
+  if (!wrappedKey.startsWith(WK1_PREFIX)) throw new Error(`Not a wk1 key (expected prefix ${WK1_PREFIX})`);
+  return JSON.parse(new TextDecoder().decode(b64urlToU8(wrappedKey.slice(WK1_PREFIX.length))));
+}
+
+/** The KEM of a recipient entry: its `kem`, else the one its wk1 alg names, else secp256k1. */
+export function entryKem(entry) {
+  if (entry?.kem) return entry.kem;
+  try {
+    const { alg } = parseWk1(entry?.wrappedKey);
+    return KEMS.find((k) => k.alg === alg)?.id || DEFAULT_KEM;
+  } catch {
+    return DEFAULT_KEM;
+  }
+}
+
+export function generateKeyPair(kem) {
+  return getKem(kem).generateKeyPair();
+}
+
+export function publicKeyOf(kem, privHex) {
+  return getKem(kem).publicKey(privHex);
+}
+
+/** Canonical hex of a pubkey for `kem`; throws when it is not one. */
+export function normalizePubHex(kem, pubHex) {
+  return getKem(kem).normalizePub(pubHex);
+}
+
+export function wrapDEK({ kem, dek, pubHex, kid, aadText }) {
+  return getKem(kem).wrap({ dek, pubHex, kid, aadText });
+}
+
+/** Unwrap with the KEM `kem`; a wrapped key made by another KEM is refused before any key is used. */
+export async function unwrapDEK({ kem, wrappedKey, privHex, aadText }) {
+  const k = getKem(kem);
+  const { alg } = parseWk1(wrappedKey);
+  if (alg !== k.alg) throw new Error(`wrappedKey alg ${alg} does not match kem ${k.id}`);
+  return k.unwrap({ wrappedKey, privHex, aadText });
+}
+
+/** Recipient entry + privkey → DEK, dispatched on the entry's KEM. */
+export function unwrapEntry({ entry, privHex, aadText }) {
+  return unwrapDEK({ kem: entryKem(entry), wrappedKey: entry.wrappedKey, privHex, aadText });
+}
@@ -0,0 +1,132 @@
+// src/lib/keyring.js
+// Local keyring for recipient secp256k1 keys, kept in IndexedDB.
+// Private keys are sealed with AES-256-GCM under a key derived from a passphrase (PBKDF2-SHA256);
+// labels, rids and pubkeys stay readable so the keyring can be listed while locked.
+//
+// record = { id, label, rid, pubHex, sealed: { ivB64url, ctB64url }, createdAt }
+import * as secp from "@noble/secp256k1";
+
+import { b64urlToU8, hexToU8, nowUnix, u8ToB64url, u8ToHex } from "./format.js";
+import { idbDelete, idbGet, idbKeys, idbPut } from "./idb.js";
+import { derivePassphraseKey, requireSubtle } from "./webcrypto.js";
+import { encodeDidKey } from "./did.js";
+
+const STORE = "keyring";
+const META_KEY = "__meta";
+const CHECK_TEXT = "pxp201-keyring";
+
+export const PBKDF2_ITERATIONS = 600000;
+const KEY_USAGES = ["encrypt", "decrypt"];
+
+// the record id is the AAD, so sealed keys cannot be swapped between records
+async function seal(key, id, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await requireSubtle().encrypt(
+    { name: "AES-GCM", iv, additionalData: new TextEncoder().encode(id) },
+    key,
+    bytes
+  );
+  return { ivB64url: u8ToB64url(iv), ctB64url: u8ToB64url(new Uint8Array(ct)) };
+}
+
+async function unseal(key, id, sealed) {
+  const pt = await requireSubtle().decrypt(
+    { name: "AES-GCM", iv: b64urlToU8(sealed.ivB64url), additionalData: new TextEncoder().encode(id) },
+    key,
+    b64urlToU8(sealed.ctB64url)
+  );
+  return new Uint8Array(pt);
+}
+
+function requireSession(session) {
+  if (!session?.key) throw new Error("Keyring is locked");
+  return session.key;
+}
+
+export async function isKeyringInitialized() {
+  return Boolean(await idbGet(STORE, META_KEY));
+}
+
+/**
+ * Unlock with a passphrase → session `{ key }` (non-extractable CryptoKey).
+ * The first unlock sets the passphrase; later ones must match it.
+ */
+export async function unlockKeyring(passphrase) {
+  if (!passphrase) throw new Error("Passphrase required");
+
+  const meta = await idbGet(STORE, META_KEY);
+  if (!meta) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await derivePassphraseKey(passphrase, salt, PBKDF2_ITERATIONS, KEY_USAGES);
+    await idbPut(STORE, META_KEY, {
+      kdf: "PBKDF2-SHA256",
+      saltB64url: u8ToB64url(salt),
+      iterations: PBKDF2_ITERATIONS,
+      check: await seal(key, META_KEY, new TextEncoder().encode(CHECK_TEXT)),
+    });
+    return { key };
+  }
+
+  const key = await derivePassphraseKey(passphrase, b64urlToU8(meta.saltB64url), meta.iterations, KEY_USAGES);
+  try {
+    await unseal(key, META_KEY, meta.check);
+  } catch {
+    throw new Error("Wrong passphrase");
+  }
+  return { key };
+}
+
+export async function listKeys() {
+  const ids = (await idbKeys(STORE)).filter((id) => id !== META_KEY);
+  const records = await Promise.all(ids.map((id) => idbGet(STORE, id)));
+  return records
+    .filter(Boolean)
+    .map(({ id, label, rid, pubHex, createdAt }) => ({ id, label, rid, pubHex, createdAt }))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function importKey(session, { privHex, label, rid }) {
+  const key = requireSession(session);
+  const priv = hexToU8(privHex);
+  if (priv.length !== 32) throw new Error("Private key must be 32 bytes (64 hex chars)");
+  const pubHex = u8ToHex(secp.getPublicKey(priv, true));
+
+  const id = crypto.randomUUID();
+  const record = {
+    id,
+    label: label || "",
+    rid: rid || encodeDidKey(pubHex),
+    pubHex,
+    sealed: await seal(key, id, priv),
+    createdAt: nowUnix(),
+  };
+  await idbPut(STORE, id, record);
+  return { id, label: record.label, rid: record.rid, pubHex, createdAt: record.createdAt };
+}
+
+export function generateKey(session, { label, rid } = {}) {
+  return importKey(session, { privHex: u8ToHex(secp.utils.randomSecretKey()), label, rid });
+}
+
+export async function revealKey(session, id) {
+  const key = requireSession(session);
+  const record = await idbGet(STORE, id);
+  if (!record) throw new Error(`Key not found: ${id}`);
+  return u8ToHex(await unseal(key, id, record.sealed));
+}
+
+// label and rid are public metadata: editable while locked
+export async function updateKey(id, patch) {
+  const record = await idbGet(STORE, id);
+  if (!record) throw new Error(`Key not found: ${id}`);
+  const next = {
+    ...record,
+    ...(patch.label !== undefined ? { label: patch.label } : {}),
+    ...(patch.rid !== undefined ? { rid: patch.rid } : {}),
+  };
+  await idbPut(STORE, id, next);
+}
+
+export function deleteKey(id) {
+  return idbDelete(STORE, id);
+}
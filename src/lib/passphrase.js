@@ -0,0 +1,113 @@
+// src/lib/passphrase.js
+// Passphrase recipients: for people without a secp256k1 key. The DEK is wrapped under a key derived
+// from a passphrase (PBKDF2-SHA256, as the keyring), and the entry sits next to the ECIES ones in
+// envelope.access.recipients. The SDK only checks rid / wrappedKey, so it accepts both kinds.
+//
+// entry = { rid, kdf: { alg: "PBKDF2-SHA256", saltB64url, iterations }, wrappedKey: "pxp201:pw1:<b64url json>" }
+// json  = { alg, nonce, ct, kid }   (AES-256-GCM over the DEK, AAD = the envelope AAD, as wk1)
+import { b64urlToU8, u8ToB64url } from "./format.js";
+import { derivePassphraseKey, requireSubtle } from "./webcrypto.js";
+
+export const PW1_PREFIX = "pxp201:pw1:";
+export const PW1_ALG = "PBKDF2-SHA256+AES-256-GCM";
+export const PASSPHRASE_KDF = "PBKDF2-SHA256";
+export const PASSPHRASE_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// below: too cheap to brute-force against; above: an envelope could stall the tab on purpose
+export const MIN_ITERATIONS = 100000;
+export const MAX_ITERATIONS = 10000000;
+
+export function isPassphraseEntry(entry) {
+  return typeof entry?.wrappedKey === "string" && entry.wrappedKey.startsWith(PW1_PREFIX);
+}
+
+/** Throws unless a passphrase entry carries usable KDF parameters. */
+export function validatePassphraseEntry(entry) {
+  const { alg, saltB64url, iterations } = entry.kdf || {};
+  if (alg !== PASSPHRASE_KDF) throw new Error(`Passphrase entry ${entry.rid}: kdf.alg must be ${PASSPHRASE_KDF}`);
+  if (typeof saltB64url !== "string" || b64urlToU8(saltB64url).length < 16) {
+    throw new Error(`Passphrase entry ${entry.rid}: kdf.saltB64url must be at least 16 bytes`);
+  }
+  if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS) {
+    throw new Error(`Passphrase entry ${entry.rid}: kdf.iterations must be ${MIN_ITERATIONS}..${MAX_ITERATIONS}`);
+  }
+}
+
+/** Wrap the DEK for a passphrase → envelope recipient entry `{ rid, kdf, wrappedKey }`. */
+export async function wrapDEK_passphrase({ dek, passphrase, rid, aadText, iterations = PASSPHRASE_ITERATIONS }) {
+  if (!rid) throw new Error("Passphrase recipient needs a rid");
+  if ((passphrase || "").length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase for ${rid} must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const nonce = crypto.getRandomValues(new Uint8Array(12));
+  const key = await derivePassphraseKey(passphrase, salt, iterations, ["encrypt"]);
+  const aad = aadText ? new TextEncoder().encode(aadText) : undefined;
+  const ct = await requireSubtle().encrypt(
+    { name: "AES-GCM", iv: nonce, ...(aad ? { additionalData: aad } : {}), tagLength: 128 },
+    key,
+    dek
+  );
+
+  const payload = { alg: PW1_ALG, nonce: u8ToB64url(nonce), ct: u8ToB64url(new Uint8Array(ct)), kid: rid };
+  return {
+    rid,
+    kdf: { alg: PASSPHRASE_KDF, saltB64url: u8ToB64url(salt), iterations },
+    wrappedKey: PW1_PREFIX + u8ToB64url(new TextEncoder().encode(JSON.stringify(payload))),
+  };
+}
+
+/** Passphrase entry + passphrase → DEK. A tag failure is named "Wrong passphrase" (check the AAD first). */
+export async function unwrapDEK_passphrase({ entry, passphrase, aadText }) {
+  if (!isPassphraseEntry(entry)) throw new Error(`${entry?.rid} is not a passphrase entry`);
+  if (!passphrase) throw new Error(`Passphrase required for ${entry.rid}`);
+  validatePassphraseEntry(entry);
+
+  const payload = JSON.parse(new TextDecoder().decode(b64urlToU8(entry.wrappedKey.slice(PW1_PREFIX.length))));
+  if (payload.alg !== PW1_ALG) throw new Error(`Unsupported passphrase wrappedKey alg: ${payload.alg}`);
+
+  const { saltB64url, iterations } = entry.kdf;
+  const key = await derivePassphraseKey(passphrase, b64urlToU8(saltB64url), iterations, ["decrypt"]);
+  const aad = aadText ? new TextEncoder().encode(aadText) : undefined;
+  let dek;
+  try {
+    dek = await requireSubtle().decrypt(
+      { name: "AES-GCM", iv: b64urlToU8(payload.nonce), ...(aad ? { additionalData: aad } : {}), tagLength: 128 },
+      key,
+      b64urlToU8(payload.ct)
+    );
+  } catch (e) {
+    if (e?.name === "OperationError") throw new Error(`Wrong passphrase: it does not open ${entry.rid}`);
+    throw e;
+  }
+  if (dek.byteLength !== 32) throw new Error(`Passphrase entry ${entry.rid} does not hold a 32-byte DEK`);
+  return new Uint8Array(dek);
+}
+
+/**
+ * Try a passphrase on every passphrase entry (`preferRid` first) → { entry, dek }.
+ * Each attempt runs the full KDF, so entries are tried one by one.
+ */
+export async function unlockWithPassphrase({ envelope, passphrase, aadText, preferRid, onProgress }) {
+  const entries = (envelope?.access?.recipients || []).filter(isPassphraseEntry);
+  if (entries.length === 0) throw new Error("This envelope has no passphrase entry: use a recipient key");
+  entries.sort((a, b) => (b.rid === preferRid) - (a.rid === preferRid));
+
+  for (let i = 0; i < entries.length; i++) {
+    onProgress?.({ done: i, total: entries.length });
+    try {
+      const dek = await unwrapDEK_passphrase({ entry: entries[i], passphrase, aadText });
+      onProgress?.({ done: entries.length, total: entries.length });
+      return { entry: entries[i], dek };
+    } catch (e) {
+      if (!/^Wrong passphrase/.test(e?.message || "")) throw e;
+    }
+  }
+  throw new Error(
+    entries.length === 1
+      ? `Wrong passphrase: it does not open ${entries[0].rid}`
+      : `Wrong passphrase: it opens none of the ${entries.length} passphrase entries`
+  );
+}
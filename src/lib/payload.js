@@ -0,0 +1,80 @@
+// src/lib/payload.js
+// Byte-level counterpart of encryptTextRaw / decryptTextFromEnvelope.
+// Produces the exact same raw shape (ciphertextB64url, nonceB64url, hashes) so envelopes stay SDK-compatible,
+// for any cipher of lib/cipher.js (the SDK itself only runs AES-256-GCM).
+import { sha3_256 } from "@noble/hashes/sha3.js";
+import { b64urlToU8, u8ToB64url, u8ToHex } from "./format.js";
+import { validateEnvelopeAny } from "./threshold.js";
+import { DEFAULT_CIPHER, getCipher } from "./cipher.js";
+
+export const DEFAULT_MIME = "application/octet-stream";
+
+// same hash as the SDK: sha3-256, 0x-prefixed hex
+export function hashHex(bytes) {
+  return u8ToHex(sha3_256(bytes));
+}
+
+const HASH_SLICE = 4 * 1024 * 1024;
+
+/** hashHex of a Blob / File, read one slice at a time (files need not fit in memory twice). */
+export async function hashBlobHex(blob, { onProgress } = {}) {
+  const hasher = sha3_256.create();
+  for (let at = 0; at < blob.size; at += HASH_SLICE) {
+    hasher.update(new Uint8Array(await blob.slice(at, at + HASH_SLICE).arrayBuffer()));
+    onProgress?.({ done: Math.min(at + HASH_SLICE, blob.size), total: blob.size });
+  }
+  return u8ToHex(hasher.digest());
+}
+
+export async function encryptBytesRaw({ bytes, cipher = DEFAULT_CIPHER, aadText, dek, nonce }) {
+  const c = getCipher(cipher);
+  if (!(bytes instanceof Uint8Array)) throw new Error("bytes must be a Uint8Array");
+
+  const key32 = dek ?? crypto.getRandomValues(new Uint8Array(32));
+  const iv = nonce ?? crypto.getRandomValues(new Uint8Array(c.nonceLength));
+  if (iv.length !== c.nonceLength) throw new Error(`${c.label} nonce must be ${c.nonceLength} bytes`);
+
+  const aad = aadText ? new TextEncoder().encode(aadText) : undefined;
+  const key = await c.importKey(key32, ["encrypt"]);
+  const ciphertext = await c.seal(key, iv, bytes, aad);
+
+  return {
+    dek: key32,
+    ciphertextB64url: u8ToB64url(ciphertext),
+    nonceB64url: u8ToB64url(iv),
+    ciphertextHash: hashHex(ciphertext),
+    ...(aad ? { aadHash: hashHex(aad) } : {}),
+  };
+}
+
+export async function decryptBytesFromEnvelope({ envelope, dek, ciphertextB64url, nonceB64url, aadText }) {
+  validateEnvelopeAny(envelope);
+  const c = getCipher(envelope.cipher);
+
+  const ciphertext = b64urlToU8(ciphertextB64url);
+  const iv = b64urlToU8(nonceB64url);
+  if (iv.length !== c.nonceLength) throw new Error(`${c.label} nonce must be ${c.nonceLength} bytes`);
+  if (hashHex(ciphertext) !== envelope.ciphertextHash) throw new Error("ciphertextHash mismatch");
+
+  const aad = aadText ? new TextEncoder().encode(aadText) : undefined;
+  const key = await c.importKey(dek, ["decrypt"]);
+  return c.open(key, iv, ciphertext, aad);
+}
+
+// meta block for a file payload (envelope.meta)
+export function fileMeta(file) {
+  return {
+    mime: file.type || DEFAULT_MIME,
+    filename: file.name,
+    size: file.size,
+  };
+}
+
+// a payload is a "file" when encrypt recorded its original name
+export function isFilePayload(envelope) {
+  return typeof envelope?.meta?.filename === "string" && envelope.meta.filename.length > 0;
+}
+
+export function isTextMime(mime) {
+  return typeof mime === "string" && (mime.startsWith("text/") || mime === "application/json");
+}
@@ -0,0 +1,393 @@
+// src/lib/schema.js
+// JSON Schemas (draft 2020-12) for the files this UI reads and writes, versioned with envelope.v:
+// - envelope: the PXP-201 envelope itself
+// - bundle: the multi-recipient bundle (Encrypt → "Download bundle")
+// - legacy-bundle: the single-recipient bundle built from a vector (recipient + wrappedKey)
+// - vector: a test vector (Test vectors → "Generate")
+//
+// Each schema is self-contained (no $ref), so it can be shipped to other SDKs as one file.
+// validateSchema covers the keywords used here only; locateJson maps JSON pointers back to text offsets,
+// so errors can point at a line and column of the pasted document.
+// These are the only structural rules: lib/inspect.js lints with them and adds the semantic checks.
+import { KEMS } from "./kem.js";
+import { CIPHERS } from "./cipher.js";
+import { CHUNKED_SCHEMES, MIN_CHUNK_SIZE } from "./chunked.js";
+import { MAX_ITERATIONS, MIN_ITERATIONS, PASSPHRASE_KDF } from "./passphrase.js";
+import { THRESHOLD_KEM } from "./threshold.js";
+import { SIG_ALG } from "./signature.js";
+
+export const SCHEMA_VERSION = "0.1";
+// access.kem values validateEnvelope accepts in RECIPIENTS mode (per-entry KEMs sit on the entries)
+export const SDK_RECIPIENTS_KEMS = ["RECIPIENTS-SECP256K1-ECIES", "RECIPIENTS-X25519-SEALED_BOX"];
+const DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+const HEX = { type: "string", pattern: "^0x[0-9a-fA-F]+$" };
+const HEX32 = { type: "string", pattern: "^0x[0-9a-fA-F]{64}$" };
+const B64URL = { type: "string", pattern: "^[A-Za-z0-9_-]+$" };
+const UNIX = { type: "integer", minimum: 0 };
+const RID = { type: "string", minLength: 2 };
+const WK1 = { type: "string", pattern: "^pxp201:wk1:[A-Za-z0-9_-]+$" };
+const KEY_MAP = { type: "object", additionalProperties: HEX };
+
+const RECIPIENT_ENTRY = {
+  type: "object",
+  required: ["rid", "wrappedKey"],
+  properties: {
+    rid: RID,
+    kem: { enum: KEMS.map((k) => k.id) },
+    wrappedKey: { type: "string", pattern: "^pxp201:(wk1|pw1):[A-Za-z0-9_-]+$" },
+    // THRESHOLD share index
+    x: { type: "integer", minimum: 1, maximum: 255 },
+    // passphrase entries (pw1)
+    kdf: {
+      type: "object",
+      required: ["alg", "saltB64url", "iterations"],
+      properties: {
+        alg: { const: PASSPHRASE_KDF },
+        saltB64url: B64URL,
+        iterations: { type: "integer", minimum: MIN_ITERATIONS, maximum: MAX_ITERATIONS },
+      },
+    },
+  },
+};
+
+const ENVELOPE = {
+  type: "object",
+  required: ["v", "typ", "cipher", "kdf", "access", "uri", "ciphertextHash"],
+  properties: {
+    v: { const: SCHEMA_VERSION },
+    typ: { const: "PXP201" },
+    cipher: { enum: CIPHERS.map((c) => c.id) },
+    kdf: { const: "HKDF-SHA256" },
+    access: {
+      type: "object",
+      required: ["mode", "kem"],
+      properties: {
+        mode: { enum: ["RECIPIENTS", "THRESHOLD", "POLICY"] },
+        kem: { type: "string", minLength: 1 },
+        recipients: { type: "array", minItems: 1, items: RECIPIENT_ENTRY },
+        k: { type: "integer", minimum: 2, maximum: 255 },
+        n: { type: "integer", minimum: 2, maximum: 255 },
+        policy: { type: "object", required: ["policyId"], properties: { policyId: { type: "string", minLength: 2 } } },
+      },
+      if: { required: ["mode"], properties: { mode: { const: "POLICY" } } },
+      then: { required: ["policy"], properties: { kem: { const: "POLICY-EXTERNAL" } } },
+      else: {
+        required: ["recipients"],
+        if: { required: ["mode"], properties: { mode: { const: "THRESHOLD" } } },
+        then: {
+          required: ["k", "n"],
+          properties: { kem: { const: THRESHOLD_KEM }, recipients: { items: { required: ["x"] } } },
+        },
+        else: { properties: { kem: { enum: SDK_RECIPIENTS_KEMS } } },
+      },
+    },
+    uri: { type: "string", minLength: 3 },
+    ciphertextHash: HEX32,
+    aadHash: HEX32,
+    meta: {
+      type: "object",
+      properties: {
+        mime: { type: "string" },
+        filename: { type: "string" },
+        size: { type: "integer", minimum: 0 },
+      },
+    },
+    chunking: {
+      type: "object",
+      required: ["scheme", "chunkSize", "chunkCount"],
+      properties: {
+        scheme: { enum: Object.values(CHUNKED_SCHEMES) },
+        chunkSize: { type: "integer", minimum: MIN_CHUNK_SIZE },
+        chunkCount: { type: "integer", minimum: 1 },
+      },
+    },
+    createdAt: UNIX,
+    notBefore: UNIX,
+    expiresAt: UNIX,
+    sig: {
+      type: "object",
+      required: ["alg", "pub", "value"],
+      properties: {
+        alg: { const: SIG_ALG },
+        kid: { type: "string" },
+        pub: { type: "string", pattern: "^0x0[23][0-9a-fA-F]{64}$" },
+        value: { type: "string", pattern: "^0x[0-9a-fA-F]{128}$" },
+      },
+    },
+  },
+};
+
+const RAW_FIELDS = {
+  ciphertextB64url: B64URL,
+  nonceB64url: B64URL,
+  ciphertextHash: HEX32,
+  aadHash: HEX32,
+  dekHex: HEX,
+};
+
+// the ciphertext travels inline or as a file next to the bundle (ciphertextFile = its name)
+const BUNDLE_RAW = {
+  type: "object",
+  required: ["nonceB64url"],
+  properties: { ...RAW_FIELDS, ciphertextFile: { type: "string", minLength: 1 } },
+  anyOf: [{ required: ["ciphertextB64url"] }, { required: ["ciphertextFile"] }],
+};
+
+const INLINE_RAW = { type: "object", required: ["ciphertextB64url", "nonceB64url"], properties: RAW_FIELDS };
+
+const schema = (id, title, body) => ({
+  $schema: DIALECT,
+  $id: `urn:pxp201:schema:${id}:${SCHEMA_VERSION}`,
+  title,
+  ...body,
+});
+
+export const SCHEMAS = [
+  {
+    id: "bundle",
+    label: "Bundle",
+    schema: schema("bundle", "PXP-201 multi-recipient bundle", {
+      type: "object",
+      required: ["raw", "envelope"],
+      properties: {
+        aadText: { type: "string" },
+        raw: BUNDLE_RAW,
+        envelope: ENVELOPE,
+        recipientPrivHexByRid: KEY_MAP,
+        recipientPubHexByRid: KEY_MAP,
+        dekHex: HEX,
+      },
+    }),
+  },
+  {
+    id: "legacy-bundle",
+    label: "Legacy bundle",
+    schema: schema("legacy-bundle", "PXP-201 single-recipient bundle", {
+      type: "object",
+      required: ["raw", "envelope", "wrappedKey", "recipient"],
+      properties: {
+        aadText: { type: "string" },
+        raw: INLINE_RAW,
+        envelope: ENVELOPE,
+        wrappedKey: WK1,
+        recipient: {
+          type: "object",
+          required: ["rid"],
+          properties: { rid: RID, recipientPubHex: HEX, recipientPrivHex: HEX },
+        },
+      },
+    }),
+  },
+  {
+    id: "vector",
+    label: "Vector",
+    schema: schema("vector", "PXP-201 test vector", {
+      type: "object",
+      required: ["raw", "envelope", "wrappedKey", "rid", "recipientPubHex"],
+      properties: {
+        aadText: { type: "string" },
+        rid: RID,
+        recipientPubHex: HEX,
+        recipientPrivHex: HEX,
+        wrappedKey: WK1,
+        raw: { ...INLINE_RAW, required: [...INLINE_RAW.required, "ciphertextHash"] },
+        envelope: ENVELOPE,
+      },
+    }),
+  },
+  { id: "envelope", label: "Envelope", schema: schema("envelope", "PXP-201 envelope", ENVELOPE) },
+];
+
+export function getSchema(id) {
+  const entry = SCHEMAS.find((s) => s.id === id);
+  if (!entry) throw new Error(`Unknown schema: ${id}`);
+  return entry;
+}
+
+export function schemaFileName(id) {
+  return `pxp201-${id}-${SCHEMA_VERSION}.schema.json`;
+}
+
+/** The schema a parsed document claims to follow, picked among `ids` by its shape (else the first of them). */
+export function schemaFor(doc, ids = SCHEMAS.map((s) => s.id)) {
+  const looksLike = {
+    "legacy-bundle": doc?.recipient !== undefined,
+    vector: doc?.rid !== undefined && doc?.wrappedKey !== undefined,
+    envelope: doc?.envelope === undefined && doc?.typ !== undefined,
+  };
+  return getSchema(ids.find((id) => looksLike[id]) || ids[0]);
+}
+
+/** JSON pointer of `base` + keys, with ~ and / escaped. */
+export function jsonPointer(base, ...keys) {
+  return base + keys.map((k) => "/" + String(k).replace(/~/g, "~0").replace(/\//g, "~1")).join("");
+}
+
+function isType(type, value) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  if (type === "object") return value !== null && typeof value === "object" && !Array.isArray(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "null") return value === null;
+  return typeof value === type;
+}
+
+/**
+ * Validate `value` against `schema` → `[{ path, message }]` (path = JSON pointer), empty when valid.
+ * Keywords: type, const, enum, pattern, minLength, minimum, maximum, minItems, items, required,
+ * properties, additionalProperties (schema), anyOf, if / then / else. Others are ignored.
+ */
+export function validateSchema(schema, value, path = "") {
+  const errors = [];
+  const error = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type && !isType(schema.type, value)) {
+    error(`Must be ${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`);
+    return errors;
+  }
+  if (schema.const !== undefined && value !== schema.const) error(`Must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) error(`Must be one of ${schema.enum.join(", ")}`);
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(`Must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) error(`Must match ${schema.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) error(`Must be ≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) error(`Must be ≤ ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`Must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    }
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(schema.items, v, jsonPointer(path, i))));
+  }
+  if (isType("object", value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) error(`Missing required field "${key}"`, jsonPointer(path, key));
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key] || schema.additionalProperties;
+      if (isType("object", sub)) errors.push(...validateSchema(sub, v, jsonPointer(path, key)));
+    }
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((s) => validateSchema(s, value, path));
+    if (branches.every((b) => b.length)) {
+      error(`None of the alternatives match: ${branches.map((b) => b[0].message).join(" / ")}`);
+    }
+  }
+  if (schema.if) {
+    const branch = validateSchema(schema.if, value, path).length ? schema.else : schema.then;
+    if (branch) errors.push(...validateSchema(branch, value, path));
+  }
+  return errors;
+}
+
+const LITERAL_RE = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+/**
+ * Scan JSON text → Map of JSON pointer → offset (an object member points at its key).
+ * Throws on a syntax error, with `err.offset` set to where it was found.
+ */
+export function locateJson(text) {
+  const positions = new Map();
+  let i = 0;
+
+  const fail = (message, at = i) => {
+    const err = new Error(message);
+    err.offset = at;
+    throw err;
+  };
+  const skipWs = () => {
+    while (i < text.length && " \t\n\r".includes(text[i])) i++;
+  };
+  const string = () => {
+    const start = i++;
+    while (i < text.length && text[i] !== '"') {
+      if (text.charCodeAt(i) < 0x20) fail("Unescaped control character in string");
+      i += text[i] === "\\" ? 2 : 1;
+    }
+    if (i >= text.length) fail("Unterminated string", start);
+    i++;
+    try {
+      return JSON.parse(text.slice(start, i));
+    } catch {
+      return fail("Invalid escape in string", start);
+    }
+  };
+  const value = (path) => {
+    skipWs();
+    if (!positions.has(path)) positions.set(path, i);
+    const c = text[i];
+    if (c === "{" || c === "[") {
+      const close = c === "{" ? "}" : "]";
+      i++;
+      skipWs();
+      if (text[i] === close) return void i++;
+      for (let index = 0; ; index++) {
+        skipWs();
+        let at = jsonPointer(path, index);
+        if (c === "{") {
+          if (text[i] !== '"') fail("Expected a property name in double quotes");
+          const keyAt = i;
+          at = jsonPointer(path, string());
+          positions.set(at, keyAt);
+          skipWs();
+          if (text[i] !== ":") fail("Expected ':' after the property name");
+          i++;
+        }
+        value(at);
+        skipWs();
+        if (text[i] === close) return void i++;
+        if (text[i] !== ",") fail(`Expected ',' or '${close}'`);
+        i++;
+      }
+    }
+    if (c === '"') return void string();
+    LITERAL_RE.lastIndex = i;
+    const m = LITERAL_RE.exec(text);
+    if (!m) fail(c === undefined ? "Unexpected end of JSON" : `Unexpected character ${JSON.stringify(c)}`);
+    i += m[0].length;
+  };
+
+  value("");
+  skipWs();
+  if (i < text.length) fail("Unexpected text after the JSON value");
+  return positions;
+}
+
+/** 1-based line / column of a text offset. */
+export function lineColumn(text, offset) {
+  const lines = text.slice(0, offset).split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Parse + validate JSON text against the schema its shape selects (among `ids`)
+ * → `{ schema, errors: [{ path, message, offset, line, column }] }`; `schema` is null on a syntax error.
+ * A missing field is located at the nearest enclosing value that is there.
+ */
+export function checkJsonText(text, { ids } = {}) {
+  if (!text.trim()) return { schema: null, errors: [] };
+  const at = (offset) => ({ offset, ...lineColumn(text, offset) });
+
+  let positions;
+  try {
+    positions = locateJson(text);
+  } catch (e) {
+    return { schema: null, errors: [{ path: "", message: e.message, ...at(e.offset) }] };
+  }
+  const doc = JSON.parse(text);
+  const schema = schemaFor(doc, ids);
+  const errors = validateSchema(schema.schema, doc).map((err) => {
+    let p = err.path;
+    while (!positions.has(p)) p = p.slice(0, p.lastIndexOf("/"));
+    return { ...err, ...at(positions.get(p)) };
+  });
+  return { schema, errors };
+}
@@ -0,0 +1,44 @@
+// src/lib/signature.js
+// Sender-signed envelopes: secp256k1 ECDSA over the envelope digest
+// (SHA-256 of the canonical envelope without its `sig` field, see canonical.js).
+//
+// envelope.sig = { alg: "ES256K", kid, pub, value }   (value = compact r || s, hex)
+import * as secp from "@noble/secp256k1";
+
+import { hexToU8, u8ToHex } from "./format.js";
+import { envelopeDigest } from "./canonical.js";
+import { checkRecipientDid, createDidResolver, didKeyResolver, encodeDidKey } from "./did.js";
+
+export const SIG_ALG = "ES256K";
+
+/** Sign as sender; kid defaults to the sender key's did:key. Any previous signature is replaced. */
+export async function signEnvelope(envelope, { privHex, kid }) {
+  const priv = hexToU8(privHex);
+  if (priv.length !== 32) throw new Error("Sender private key must be 32 bytes");
+  const pub = u8ToHex(secp.getPublicKey(priv, true));
+  const value = await secp.signAsync(envelopeDigest(envelope), priv, { prehash: false });
+  return { ...envelope, sig: { alg: SIG_ALG, kid: kid || encodeDidKey(pub), pub, value: u8ToHex(value) } };
+}
+
+/**
+ * null for unsigned envelopes, else `{ valid, kid, pub, signer, detail }`.
+ * `signer` cross-checks kid against pub (did:key / did:pkh), like recipient rids.
+ */
+export async function verifyEnvelopeSignature(envelope, resolver = createDidResolver([didKeyResolver])) {
+  const sig = envelope?.sig;
+  if (!sig) return null;
+
+  const out = { valid: false, kid: sig.kid || "", pub: sig.pub || "", signer: null, detail: "" };
+  if (sig.alg !== SIG_ALG) return { ...out, detail: `unsupported sig.alg: ${sig.alg}` };
+
+  try {
+    out.valid = await secp.verifyAsync(hexToU8(sig.value), envelopeDigest(envelope), hexToU8(sig.pub), {
+      prehash: false,
+    });
+    out.detail = out.valid ? "signature matches sig.pub" : "signature does not match the envelope";
+  } catch (e) {
+    out.detail = String(e?.message || e);
+  }
+  if (out.kid) out.signer = await checkRecipientDid({ rid: out.kid, recipientPubHex: out.pub }, resolver);
+  return out;
+}
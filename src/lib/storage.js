@@ -0,0 +1,130 @@
+// src/lib/storage.js
+// Ciphertext storage backends. Every adapter is addressed by a CIDv1 (raw codec, sha2-256),
+// so `envelope.uri = ipfs://<cid>` is a real content identifier whatever the backend.
+//
+// adapter = { id, put(blob, cid) -> Promise<void>, get(cid, opts) -> Promise<Blob> }
+import { sha256 } from "@noble/hashes/sha2.js";
+
+import { downloadBlob } from "./format.js";
+import { idbGet, idbPut } from "./idb.js";
+
+const HASH_SLICE = 4 * 1024 * 1024;
+const B32 = "abcdefghijklmnopqrstuvwxyz234567";
+
+function base32(bytes) {
+  let out = "";
+  let bits = 0;
+  let value = 0;
+  for (const b of bytes) {
+    value = (value << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/** CIDv1 (base32, raw codec 0x55, sha2-256 multihash) of a Blob, hashed slice by slice. */
+export async function contentId(blob, { onProgress } = {}) {
+  const h = sha256.create();
+  let off = 0;
+  do {
+    h.update(new Uint8Array(await blob.slice(off, off + HASH_SLICE).arrayBuffer()));
+    off += HASH_SLICE;
+    onProgress?.({ done: Math.min(off, blob.size), total: blob.size });
+  } while (off < blob.size);
+  const digest = h.digest();
+  const cid = new Uint8Array(4 + digest.length);
+  cid.set([0x01, 0x55, 0x12, 0x20], 0);
+  cid.set(digest, 4);
+  return "b" + base32(cid);
+}
+
+export function cidToUri(cid) {
+  return `ipfs://${cid}`;
+}
+
+export function uriToCid(uri) {
+  const m = /^ipfs:\/\/([a-z2-7]+)$/.exec(uri || "");
+  if (!m || !m[1].startsWith("b")) throw new Error(`Not a CIDv1 ipfs:// uri: ${uri}`);
+  return m[1];
+}
+
+// fetched bytes must hash back to the cid they were requested under
+async function verified(cid, blob) {
+  const got = await contentId(blob);
+  if (got !== cid) throw new Error(`Content mismatch: expected ${cid}, got ${got}`);
+  return blob;
+}
+
+export function indexedDbStorage() {
+  return {
+    id: "idb",
+    async put(blob, cid) {
+      await idbPut("ciphertexts", cid, blob);
+    },
+    async get(cid) {
+      const blob = await idbGet("ciphertexts", cid);
+      if (!blob) throw new Error(`ciphertext ${cid} not found in IndexedDB`);
+      return verified(cid, blob);
+    },
+  };
+}
+
+export function downloadStorage() {
+  return {
+    id: "download",
+    async put(blob, cid) {
+      downloadBlob(`${cid}.bin`, blob);
+    },
+    async get(cid, { file } = {}) {
+      if (!file) throw new Error(`Load the ciphertext file (${cid}.bin) to fetch it`);
+      return verified(cid, file);
+    },
+  };
+}
+
+// PUT/GET `${endpoint}/${cid}`, e.g. a local IPFS-gateway-like stand-in
+export function httpStorage({ endpoint }) {
+  const base = (endpoint || "").replace(/\/+$/, "");
+  const urlFor = (cid) => {
+    if (!base) throw new Error("HTTP storage endpoint not set");
+    return `${base}/${cid}`;
+  };
+
+  return {
+    id: "http",
+    async put(blob, cid) {
+      const res = await fetch(urlFor(cid), {
+        method: "PUT",
+        headers: { "content-type": "application/octet-stream" },
+        body: blob,
+      });
+      if (!res.ok) throw new Error(`PUT ${urlFor(cid)} failed: ${res.status} ${res.statusText}`);
+    },
+    async get(cid) {
+      const res = await fetch(urlFor(cid));
+      if (!res.ok) throw new Error(`GET ${urlFor(cid)} failed: ${res.status} ${res.statusText}`);
+      return verified(cid, await res.blob());
+    },
+  };
+}
+
+export const STORAGE_BACKENDS = [
+  { id: "none", label: "None (bundle only)" },
+  { id: "idb", label: "IndexedDB (this browser)" },
+  { id: "download", label: "Download as file" },
+  { id: "http", label: "HTTP PUT/GET endpoint" },
+];
+
+export const DEFAULT_HTTP_ENDPOINT = "http://127.0.0.1:8080/ipfs";
+
+export function createStorage({ backend, endpoint }) {
+  if (backend === "idb") return indexedDbStorage();
+  if (backend === "download") return downloadStorage();
+  if (backend === "http") return httpStorage({ endpoint });
+  return null;
+}
@@ -0,0 +1,168 @@
+// src/lib/threshold.js
+// THRESHOLD access mode (k-of-n): the DEK is split with Shamir's scheme over GF(256), and each 32-byte share
+// is wrapped (wk1) for one recipient. Any k shares rebuild the DEK; fewer reveal nothing about it.
+//
+// envelope.access = { mode: "THRESHOLD", kem, k, n, recipients: [{ rid, x, kem, wrappedKey }] }   (x = share index)
+// access.kem names the scheme only: each share entry's kem names its curve (secp256k1, P-256, X25519).
+import { validateEnvelope } from "@privacyx/pxp201";
+
+import { isPassphraseEntry, validatePassphraseEntry } from "./passphrase.js";
+import { DEFAULT_KEM, getKem, unwrapEntry, wrapDEK } from "./kem.js";
+
+export const THRESHOLD_KEM = "THRESHOLD-ECIES-SHAMIR";
+
+// GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, v = 1; i < 255; i++) {
+  EXP[i] = v;
+  LOG[v] = i;
+  v ^= (v << 1) ^ (v & 0x80 ? 0x11b : 0);
+}
+for (let i = 255; i < 510; i++) EXP[i] = EXP[i - 255];
+
+function mul(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function div(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+function requireKofN(k, n) {
+  if (!Number.isInteger(n) || n < 2 || n > 255) throw new Error("THRESHOLD needs 2 to 255 recipients");
+  if (!Number.isInteger(k) || k < 2 || k > n) throw new Error(`Threshold k must be between 2 and ${n}`);
+}
+
+/** secret → n shares `{ x, y }` (x = 1..n); any k of them rebuild it. */
+export function splitSecret(secret, k, n) {
+  requireKofN(k, n);
+  const coeffs = crypto.getRandomValues(new Uint8Array((k - 1) * secret.length));
+  const shares = [];
+  for (let x = 1; x <= n; x++) {
+    const y = new Uint8Array(secret.length);
+    for (let b = 0; b < secret.length; b++) {
+      // Horner: secret[b] + c1·x + … + c(k-1)·x^(k-1)
+      let acc = 0;
+      for (let c = k - 2; c >= 0; c--) acc = mul(acc ^ coeffs[c * secret.length + b], x);
+      y[b] = acc ^ secret[b];
+    }
+    shares.push({ x, y });
+  }
+  return shares;
+}
+
+/**
+ * Lagrange interpolation at 0. Rebuilds the secret only if the shares are from the same split: a foreign or
+ * replaced share yields a wrong secret, not an error (the payload tag catches it, see decryptDiagnosed).
+ */
+export function combineShares(shares) {
+  const xs = shares.map((s) => s.x);
+  if (new Set(xs).size !== xs.length) throw new Error("Duplicate share index");
+  const len = shares[0].y.length;
+  const out = new Uint8Array(len);
+  shares.forEach((si, i) => {
+    let basis = 1;
+    shares.forEach((sj, j) => {
+      if (i !== j) basis = mul(basis, div(sj.x, sj.x ^ si.x));
+    });
+    for (let b = 0; b < len; b++) out[b] ^= mul(si.y[b], basis);
+  });
+  return out;
+}
+
+export function isThresholdEnvelope(envelope) {
+  return envelope?.access?.mode === "THRESHOLD";
+}
+
+// the SDK only knows RECIPIENTS / POLICY: it sees a threshold envelope through its RECIPIENTS projection
+export function sdkView(envelope) {
+  if (!isThresholdEnvelope(envelope)) return envelope;
+  const { k: _k, n: _n, ...access } = envelope.access;
+  return { ...envelope, access: { ...access, mode: "RECIPIENTS", kem: "RECIPIENTS-SECP256K1-ECIES" } };
+}
+
+/** SDK validateEnvelope, plus the THRESHOLD access block, per-entry KEMs and passphrase KDF parameters. */
+export function validateEnvelopeAny(envelope) {
+  validateEnvelope(sdkView(envelope));
+  for (const r of envelope.access.recipients || []) {
+    if (isPassphraseEntry(r)) validatePassphraseEntry(r);
+    else if (r.kem !== undefined) getKem(r.kem);
+  }
+  if (!isThresholdEnvelope(envelope)) return;
+
+  const { kem, k, n, recipients } = envelope.access;
+  if (kem !== THRESHOLD_KEM) throw new Error(`THRESHOLD mode requires kem ${THRESHOLD_KEM}`);
+  requireKofN(k, n);
+  if (recipients.length !== n) throw new Error(`THRESHOLD envelope lists ${recipients.length} shares, n is ${n}`);
+  if (recipients.some(isPassphraseEntry)) throw new Error("THRESHOLD shares are wrapped for recipient keys only");
+  const xs = new Set();
+  for (const r of recipients) {
+    if (!Number.isInteger(r.x) || r.x < 1 || r.x > 255 || xs.has(r.x)) {
+      throw new Error(`THRESHOLD share index for ${r.rid} must be a unique integer 1..255`);
+    }
+    xs.add(r.x);
+  }
+}
+
+/** Split the DEK and wrap share i for recipient i (kid = rid). All-or-nothing → `[{ rid, x, kem, wrappedKey }]`. */
+export async function wrapShares({ dek, recipients, k, aadText, onProgress }) {
+  const pass = recipients.find((r) => r.kind === "passphrase");
+  if (pass) throw new Error(`THRESHOLD shares are wrapped for recipient keys: ${pass.rid} is a passphrase recipient`);
+  const shares = splitSecret(dek, k, recipients.length);
+  const out = [];
+  for (let i = 0; i < recipients.length; i++) {
+    onProgress?.({ done: i, total: recipients.length });
+    const r = recipients[i];
+    const t0 = performance.now();
+    try {
+      if (!r.recipientPubHex) throw new Error("no pubkey");
+      const kem = r.kem || DEFAULT_KEM;
+      const wrappedKey = await wrapDEK({ kem, dek: shares[i].y, pubHex: r.recipientPubHex, kid: r.rid, aadText });
+      out.push({ rid: r.rid, x: shares[i].x, kem, wrappedKey, ms: performance.now() - t0 });
+    } catch (e) {
+      throw new Error(`cannot wrap share ${shares[i].x} for ${r.rid}: ${String(e?.message || e)}`);
+    }
+  }
+  onProgress?.({ done: recipients.length, total: recipients.length });
+  return out;
+}
+
+/**
+ * Unwrap shares until k are in hand: the rid's own key first (privHexByRid), then every candidate key.
+ * → { dek, shares: [{ rid, x }] }; throws, naming what is missing, when fewer than k open.
+ */
+export async function unwrapThreshold({ envelope, aadText, privHexByRid = {}, candidates = [], onProgress }) {
+  const { k, n, recipients } = envelope.access;
+  const opened = [];
+  const failures = [];
+
+  for (let i = 0; i < recipients.length && opened.length < k; i++) {
+    onProgress?.({ done: i, total: n });
+    const entry = recipients[i];
+    const keys = [
+      ...(privHexByRid[entry.rid] ? [{ label: entry.rid, privHex: privHexByRid[entry.rid] }] : []),
+      ...candidates,
+    ];
+    for (const key of keys) {
+      try {
+        const y = await unwrapEntry({ entry, privHex: key.privHex, aadText });
+        opened.push({ rid: entry.rid, x: entry.x, y });
+        break;
+      } catch (e) {
+        if (key.privHex === privHexByRid[entry.rid]) failures.push(`${entry.rid}: ${String(e?.message || e)}`);
+      }
+    }
+  }
+  onProgress?.({ done: n, total: n });
+
+  if (opened.length < k) {
+    throw new Error(
+      `Too few shares: ${k} of ${n} needed, ${opened.length} opened` +
+        (opened.length ? ` (${opened.map((s) => s.rid).join(", ")})` : "") +
+        ". Load key files or keyring keys for more recipients" +
+        (failures.length ? `; failed: ${failures.join("; ")}` : "")
+    );
+  }
+  return { dek: combineShares(opened), shares: opened.map(({ rid, x }) => ({ rid, x })) };
+}
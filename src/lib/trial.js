@@ -0,0 +1,64 @@
+// src/lib/trial.js
+// Trial unwrap for recipients that hold a key, not a bundle telling them which rid they are:
+// every candidate key is tried against every wrapped key until one opens.
+import { hexToU8 } from "./format.js";
+import { isPassphraseEntry } from "./passphrase.js";
+import { unwrapEntry } from "./kem.js";
+
+/**
+ * One key per line: `0x…` or `label 0x…` / `label: 0x…`. Blank lines and `#` comments are skipped.
+ * → [{ label, privHex }]
+ */
+export function parseCandidateList(text) {
+  const out = [];
+  const lines = (text || "").split(/\r?\n/);
+  lines.forEach((line, i) => {
+    const t = line.trim();
+    if (!t || t.startsWith("#")) return;
+    const m = /^(?:(.*?)[\s:=]+)?((?:0x)?[0-9a-fA-F]{64})$/.exec(t);
+    if (!m) throw new Error(`Line ${i + 1}: expected a 32-byte hex private key`);
+    const privHex = m[2].startsWith("0x") ? m[2] : `0x${m[2]}`;
+    out.push({ label: m[1]?.trim() || `pasted #${out.length + 1}`, privHex });
+  });
+  return out;
+}
+
+// same key from several sources (pasted + key file + keyring) is only tried once
+export function dedupeCandidates(candidates) {
+  const seen = new Set();
+  return candidates.filter((c) => {
+    const k = c.privHex.toLowerCase().replace(/^0x/, "");
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return hexToU8(c.privHex).length === 32;
+  });
+}
+
+/** → { entry, candidate, dek, attempts } for the first rid/key pair that unwraps. */
+export async function trialUnwrap({ envelope, aadText, candidates, onProgress }) {
+  const all = envelope?.access?.recipients || [];
+  if (all.length === 0) throw new Error("envelope.access.recipients missing/empty");
+  // a private key never opens a passphrase entry
+  const recips = all.filter((r) => !isPassphraseEntry(r));
+  if (recips.length === 0) throw new Error("Every recipient entry is a passphrase entry: unlock with the passphrase");
+  if (!candidates?.length) throw new Error("No candidate keys: paste keys, load key files or unlock the keyring");
+
+  const total = recips.length * candidates.length;
+  let attempts = 0;
+  for (const entry of recips) {
+    for (const candidate of candidates) {
+      attempts += 1;
+      onProgress?.({ done: attempts, total });
+      try {
+        const dek = await unwrapEntry({ entry, privHex: candidate.privHex, aadText });
+        return { entry, candidate, dek, attempts };
+      } catch {
+        // not this rid/key pair
+      }
+    }
+  }
+  throw new Error(
+    `Wrong private key: none of the ${candidates.length} candidate key(s) opens any of the ${recips.length} ` +
+      "recipient entries"
+  );
+}
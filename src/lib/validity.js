@@ -0,0 +1,83 @@
+// src/lib/validity.js
+// Validity windows: optional envelope.notBefore / envelope.expiresAt (unix seconds, like createdAt).
+// Both are also bound into the structured AAD (nbf / exp): editing the AAD breaks decryption,
+// editing the envelope fields breaks the match with the AAD.
+import { encodeAad, parseAad } from "./aad.js";
+import { nowUnix } from "./format.js";
+
+/** Unix seconds → ISO 8601 (UTC), for messages. */
+export function iso(t) {
+  return new Date(t * 1000).toISOString();
+}
+
+/** `{ notBefore, expiresAt }` (unix seconds, each optional) → the envelope fields to set. */
+export function validityWindow({ notBefore, expiresAt } = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries({ notBefore, expiresAt })) {
+    if (v === undefined || v === null || v === "") continue;
+    if (!Number.isInteger(v) || v < 0) throw new Error(`${k} must be a unix timestamp (seconds)`);
+    out[k] = v;
+  }
+  if (out.notBefore !== undefined && out.expiresAt !== undefined && out.notBefore >= out.expiresAt) {
+    throw new Error("notBefore must be earlier than expiresAt");
+  }
+  return out;
+}
+
+/** Set (or clear) nbf / exp in a structured AAD. Free-text AAD cannot carry a window. */
+export function bindValidityToAad(aadText, lifetime) {
+  let fields;
+  try {
+    fields = parseAad(aadText);
+  } catch (e) {
+    if (lifetime.notBefore === undefined && lifetime.expiresAt === undefined) return aadText;
+    throw new Error(`A validity window is bound into the AAD, which must be structured: ${e.message}`);
+  }
+  const nbf = lifetime.notBefore ?? "";
+  const exp = lifetime.expiresAt ?? "";
+  // nothing to set or clear: keep the AAD exactly as typed
+  if (String(nbf) === fields.nbf && String(exp) === fields.exp) return aadText;
+  return encodeAad({ ...fields, nbf, exp });
+}
+
+/**
+ * Check the envelope window against the clock (`now`, unix seconds; defaults to the real clock).
+ * → null (no window) | { notBefore, expiresAt, now, status: "valid" | "not-yet-valid" | "expired", detail }.
+ * Envelope fields that disagree with the AAD always throw; outside the window throws only when `strict`.
+ */
+export function checkValidity(envelope, aadText, { now, strict } = {}) {
+  let bound = { nbf: "", exp: "" };
+  try {
+    bound = parseAad(aadText);
+  } catch {
+    // free-text AAD binds no window
+  }
+  for (const [field, key] of [
+    ["notBefore", "nbf"],
+    ["expiresAt", "exp"],
+  ]) {
+    const inEnvelope = envelope[field] === undefined ? "" : String(envelope[field]);
+    if (inEnvelope !== bound[key]) {
+      throw new Error(
+        `Validity window does not match the AAD: envelope.${field} is ${inEnvelope || "unset"}, ` +
+          `the AAD binds ${bound[key] || "none"}`
+      );
+    }
+  }
+
+  const { notBefore, expiresAt } = envelope;
+  if (notBefore === undefined && expiresAt === undefined) return null;
+
+  const t = now ?? nowUnix();
+  let status = "valid";
+  let detail = "";
+  if (notBefore !== undefined && t < notBefore) {
+    status = "not-yet-valid";
+    detail = `Envelope is not valid before ${iso(notBefore)} (now ${iso(t)})`;
+  } else if (expiresAt !== undefined && t >= expiresAt) {
+    status = "expired";
+    detail = `Envelope expired at ${iso(expiresAt)} (now ${iso(t)})`;
+  }
+  if (strict && status !== "valid") throw new Error(detail);
+  return { notBefore, expiresAt, now: t, status, detail };
+}
@@ -0,0 +1,25 @@
+// src/lib/webcrypto.js
+// WebCrypto helpers shared by the payload cipher, the KEMs, passphrase entries and the keyring.
+// A leaf module: it imports nothing from lib/, so any of them can depend on it.
+
+export function requireSubtle() {
+  if (!globalThis.crypto?.subtle) throw new Error("WebCrypto subtle API not available");
+  return globalThis.crypto.subtle;
+}
+
+export async function importAesKey(dek, usages) {
+  if (!(dek instanceof Uint8Array) || dek.length !== 32) throw new Error("DEK must be 32 bytes");
+  return requireSubtle().importKey("raw", dek, { name: "AES-GCM" }, false, usages);
+}
+
+/**
+ * PBKDF2-SHA256 passphrase → AES-256-GCM key (the keyring and passphrase recipients).
+ * NFC: the same passphrase typed on another OS / keyboard derives the same key.
+ */
+export async function derivePassphraseKey(passphrase, salt, iterations, usages) {
+  const subtle = requireSubtle();
+  const secret = new TextEncoder().encode(passphrase.normalize("NFC"));
+  const base = await subtle.importKey("raw", secret, "PBKDF2", false, ["deriveBits"]);
+  const bits = await subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, base, 256);
+  return importAesKey(new Uint8Array(bits), usages);
+}
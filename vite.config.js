@@ -3,6 +3,10 @@ import react from "@vitejs/plugin-react";
 
 export default defineConfig({
   plugins: [react()],
+  // crypto.worker.js is a module worker (it lazy-loads the Buffer polyfill)
+  worker: {
+    format: "es",
+  },
   define: {
     global: "globalThis",
   },